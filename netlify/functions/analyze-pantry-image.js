@@ -1,74 +1,56 @@
 // Netlify serverless function to analyze pantry/fridge images using Claude Vision API
-// This keeps the API key secure on the server side
+// This keeps the API key secure on the server side.
+// With the current pantry and the location being photographed, it reconciles the photo
+// against what is already tracked there and returns a change set instead of a flat list.
+
+const { createMessage, getText, extractJson } = require('../lib/anthropic');
+const { jsonResponse, preflightResponse, methodNotAllowed, errorResponse } = require('../lib/http');
+const { guardRequest } = require('../lib/auth');
+
+const LOCATIONS = ['Fridge', 'Pantry', 'Freezer', 'Spice Rack'];
+const MAX_PANTRY_ITEMS = 200;
+// Photo freshness labels -> pantry status values
+const STATUS_BY_CONCERN = { 'Fresh': 'fresh', 'Use Soon': 'use-soon', 'Check Date': 'check' };
 
 exports.handler = async (event, context) => {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      },
-      body: '',
-    };
+    return preflightResponse();
   }
 
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-      },
-      body: JSON.stringify({ error: 'Method not allowed' }),
-    };
+    return methodNotAllowed();
   }
 
-  // Get API key from environment variable
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    console.error('ANTHROPIC_API_KEY environment variable is not set');
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({ error: 'API key not configured on server' }),
-    };
+  // Signed-in users only, within their vision quota
+  const guard = await guardRequest(event, 'vision');
+  if (guard.response) {
+    return guard.response;
   }
 
   try {
     // Parse the request body
-    const { image, imageType } = JSON.parse(event.body);
+    const { image, imageType, location, pantry } = JSON.parse(event.body);
 
     if (!image || !imageType) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({ error: 'Image and imageType are required' }),
-      };
+      return jsonResponse(400, { error: 'Image and imageType are required', code: 'invalid_request' });
     }
 
     // Validate image type
     const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
     if (!allowedTypes.includes(imageType)) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({ error: 'Invalid image type. Allowed: JPEG, PNG, GIF, WebP' }),
-      };
+      return jsonResponse(400, { error: 'Invalid image type. Allowed: JPEG, PNG, GIF, WebP', code: 'invalid_request' });
+    }
+
+    if (pantry !== undefined) {
+      if (!Array.isArray(pantry) || pantry.length > MAX_PANTRY_ITEMS) {
+        return jsonResponse(400, { error: `Pantry must be an array of at most ${MAX_PANTRY_ITEMS} items`, code: 'invalid_request' });
+      }
+      if (!LOCATIONS.includes(location)) {
+        return jsonResponse(400, { error: `Location must be one of: ${LOCATIONS.join(', ')}`, code: 'invalid_request' });
+      }
+      return await reconcilePantryPhoto({ image, imageType, location, pantry });
     }
 
     // System prompt for pantry analysis
@@ -105,132 +87,195 @@ Rules:
 - Do NOT include non-food items (containers, appliances, etc.)`;
 
     // Call Anthropic API with vision
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2000,
-        system: systemPrompt,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: imageType,
-                data: image
-              }
-            },
-            {
-              type: 'text',
-              text: 'Analyze this kitchen storage photo and identify all food items visible. Return only valid JSON.'
+    const message = await createMessage({
+      max_tokens: 2000,
+      system: systemPrompt,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: imageType,
+              data: image
             }
-          ]
-        }]
-      }),
+          },
+          {
+            type: 'text',
+            text: 'Analyze this kitchen storage photo and identify all food items visible. Return only valid JSON.'
+          }
+        ]
+      }]
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Anthropic API error:', response.status, errorData);
-      return {
-        statusCode: response.status,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: errorData.error?.message || `API error: ${response.status}`
-        }),
-      };
+    const content = getText(message);
+
+    // Extract the JSON array (handles markdown code blocks and stray prose)
+    if (!/\[[\s\S]*\]/.test(content)) {
+      return jsonResponse(200, {
+        items: [],
+        message: 'No items detected in the image. Try a clearer photo with better lighting.'
+      });
     }
 
-    const data = await response.json();
-    const content = data.content[0].text;
+    const items = extractJson(content, 'array');
+    if (!Array.isArray(items)) {
+      return jsonResponse(200, {
+        items: [],
+        error: 'Failed to parse detected items. Please try again.'
+      });
+    }
 
-    // Extract JSON from response (handle potential markdown code blocks)
-    let jsonStr = content;
+    // Validate items structure
+    const validatedItems = items.filter(item =>
+      item &&
+      typeof item.name === 'string' &&
+      item.name.trim().length > 0
+    ).map(item => ({
+      name: item.name.trim(),
+      quantity: item.quantity || '1',
+      category: item.category || 'Other',
+      location: item.location || 'Pantry',
+      expirationConcern: item.expirationConcern || 'Fresh',
+      confidence: item.confidence || 'medium'
+    }));
 
-    // Remove markdown code blocks if present
-    const codeBlockMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (codeBlockMatch) {
-      jsonStr = codeBlockMatch[1].trim();
-    }
+    return jsonResponse(200, {
+      items: validatedItems,
+      count: validatedItems.length
+    });
+
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Compare a photo of one storage location with the items already tracked there.
+// Nonna says which tracked items she can see (with their quantity and freshness now)
+// and what is new; anything tracked but not seen is reported as missing. Returns
+// { mode: 'reconcile', location, changes: { added, quantityChanges, freshnessChanges, missing }, unchanged }
+async function reconcilePantryPhoto({ image, imageType, location, pantry }) {
+  const current = pantry
+    .filter(item => item && item.id !== undefined && typeof item.name === 'string' && item.name.trim())
+    .map(item => ({
+      id: item.id,
+      name: item.name.trim(),
+      quantity: String(item.quantity || '').trim(),
+      status: item.status || 'fresh'
+    }));
+
+  const systemPrompt = `You are comparing a photo of the user's ${location.toLowerCase()} with the items they already track there.
+
+Tracked items (id, name, quantity last recorded):
+${current.length ? current.map(item => `- ${item.id}: ${item.name}${item.quantity ? ` (${item.quantity})` : ''}`).join('\n') : '- (nothing tracked yet)'}
+
+Your task:
+1. For every tracked item you can see in the photo, report its id, the quantity you see now and its freshness.
+2. List food items you can see that are NOT in the tracked list as new items.
+3. Do not report tracked items you cannot see; they are handled separately.
+
+Freshness: "Fresh" (looks good, >7 days), "Use Soon" (3-7 days or slightly wilted), "Check Date" (unclear condition or potentially expired)
+Confidence: high (clearly visible label or obvious item), medium (partially visible or common item), low (guessing based on shape/color)
 
-    // Try to find JSON array
-    const jsonMatch = jsonStr.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
+Return ONLY a valid JSON object (no markdown formatting, no code blocks, no explanation):
+{
+  "seen": [{ "id": 3, "quantity": "2 tomatoes", "expirationConcern": "Use Soon", "confidence": "high" }],
+  "newItems": [{ "name": "Greek yogurt", "quantity": "1 tub", "category": "Dairy", "expirationConcern": "Fresh", "confidence": "high" }]
+}
+
+Rules:
+- Match a tracked item even if the name differs slightly (e.g., "Roma tomatoes" is the same as "tomatoes")
+- Keep quantities in the same style as the tracked quantity when you can ("half jar", "3 eggs")
+- Be specific with new item names (brand names if visible); categories: Produce, Proteins, Dairy, Grains, Canned Goods, Spices, Condiments, Frozen, Beverages, Snacks, Other
+- Only include items you can clearly identify; never include containers or appliances
+- If the photo is blurry or dark, report fewer items with lower confidence`;
+
+  const message = await createMessage({
+    max_tokens: 2000,
+    system: systemPrompt,
+    messages: [{
+      role: 'user',
+      content: [
+        {
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: imageType,
+            data: image
+          }
         },
-        body: JSON.stringify({
-          items: [],
-          message: 'No items detected in the image. Try a clearer photo with better lighting.'
-        }),
-      };
-    }
+        {
+          type: 'text',
+          text: `Compare this photo of the ${location.toLowerCase()} with the tracked items. Return only valid JSON.`
+        }
+      ]
+    }]
+  });
+
+  const parsed = extractJson(getText(message), 'object');
+  if (!parsed || (!Array.isArray(parsed.seen) && !Array.isArray(parsed.newItems))) {
+    return jsonResponse(200, {
+      items: [],
+      error: 'Failed to parse detected items. Please try again.'
+    });
+  }
+
+  const byId = new Map(current.map(item => [String(item.id), item]));
+  const seenIds = new Set();
+  const quantityChanges = [];
+  const freshnessChanges = [];
 
-    try {
-      const items = JSON.parse(jsonMatch[0]);
+  (Array.isArray(parsed.seen) ? parsed.seen : []).forEach(seen => {
+    const item = seen && byId.get(String(seen.id));
+    if (!item || seenIds.has(String(item.id))) return;
+    seenIds.add(String(item.id));
+    const confidence = seen.confidence || 'medium';
 
-      // Validate items structure
-      const validatedItems = items.filter(item =>
-        item &&
-        typeof item.name === 'string' &&
-        item.name.trim().length > 0
-      ).map(item => ({
+    const quantity = typeof seen.quantity === 'string' ? seen.quantity.trim() : '';
+    if (quantity && normalizeQuantity(quantity) !== normalizeQuantity(item.quantity)) {
+      quantityChanges.push({ id: item.id, name: item.name, from: item.quantity, to: quantity, confidence });
+    }
+    const status = STATUS_BY_CONCERN[seen.expirationConcern];
+    if (status && status !== item.status) {
+      freshnessChanges.push({ id: item.id, name: item.name, from: item.status, to: status, confidence });
+    }
+  });
+
+  // New items that are really tracked ones under the same name become "seen"
+  const trackedNames = new Map(current.map(item => [item.name.toLowerCase(), item]));
+  const added = [];
+  (Array.isArray(parsed.newItems) ? parsed.newItems : [])
+    .filter(item => item && typeof item.name === 'string' && item.name.trim())
+    .forEach(item => {
+      const tracked = trackedNames.get(item.name.trim().toLowerCase());
+      if (tracked) {
+        seenIds.add(String(tracked.id));
+        return;
+      }
+      added.push({
         name: item.name.trim(),
         quantity: item.quantity || '1',
         category: item.category || 'Other',
-        location: item.location || 'Pantry',
-        expirationConcern: item.expirationConcern || 'Fresh',
+        location,
+        expirationConcern: STATUS_BY_CONCERN[item.expirationConcern] ? item.expirationConcern : 'Fresh',
         confidence: item.confidence || 'medium'
-      }));
+      });
+    });
 
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          items: validatedItems,
-          count: validatedItems.length
-        }),
-      };
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError, 'Content:', jsonMatch[0]);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          items: [],
-          error: 'Failed to parse detected items. Please try again.'
-        }),
-      };
-    }
+  const missing = current
+    .filter(item => !seenIds.has(String(item.id)))
+    .map(item => ({ id: item.id, name: item.name, quantity: item.quantity }));
 
-  } catch (error) {
-    console.error('Function error:', error);
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({ error: error.message || 'Internal server error' }),
-    };
-  }
-};
+  return jsonResponse(200, {
+    mode: 'reconcile',
+    location,
+    changes: { added, quantityChanges, freshnessChanges, missing },
+    unchanged: seenIds.size - new Set([...quantityChanges, ...freshnessChanges].map(change => String(change.id))).size
+  });
+}
+
+// "2 Tomatoes" and "2 tomatoes " are the same quantity
+function normalizeQuantity(quantity) {
+  return String(quantity || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
@@ -1,240 +1,336 @@
 // Netlify serverless function to analyze grocery receipt images using Claude Vision API
-// Extracts food items, quantities, and prices from receipt photos
+// Extracts food items, quantities, prices and discounts from receipt photos, plus the store,
+// purchase date and printed subtotal/tax/total so the browser can check the items add up.
+// A long receipt can be sent as several overlapping photos, top to bottom: each photo is read
+// on its own and the lines repeated where neighbouring photos overlap are merged away.
+
+const { createMessage, getText, extractJson, AnthropicError, ERROR_CODES } = require('../lib/anthropic');
+const { jsonResponse, preflightResponse, methodNotAllowed, errorResponse } = require('../lib/http');
+const { guardRequest } = require('../lib/auth');
+const { QUOTAS } = require('../lib/rate-limit');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+// Every photo is charged to the vision quota, and a request only goes through when the
+// minute has room for all of them, so a receipt can't have more photos than that
+const MAX_PHOTOS = QUOTAS.vision.perMinute;
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+// The function may run for 26s (netlify.toml). Every photo gets the same budget for its
+// attempts, leaving a few seconds to merge and answer; a photo that runs out is reported
+// in unreadPhotos instead of failing the whole receipt.
+const PHOTO_BUDGET_MS = 22000;
+const PHOTO_ATTEMPT_TIMEOUT_MS = 14000;
+const PHOTO_MAX_RETRIES = 1;
 
 exports.handler = async (event, context) => {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      },
-      body: '',
-    };
+    return preflightResponse();
   }
 
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-      },
-      body: JSON.stringify({ error: 'Method not allowed' }),
-    };
+    return methodNotAllowed();
   }
 
-  // Get API key from environment variable
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    console.error('ANTHROPIC_API_KEY environment variable is not set');
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({ error: 'API key not configured on server' }),
-    };
+  // Signed-in users only, within their vision quota; every photo is its own vision call
+  const guard = await guardRequest(event, 'vision', { cost: countPhotos(event.body) });
+  if (guard.response) {
+    return guard.response;
   }
 
   try {
-    // Parse the request body
-    const { image, imageType } = JSON.parse(event.body);
-
-    if (!image || !imageType) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({ error: 'Image and imageType are required' }),
-      };
+    // Parse the request body: { images: [{ data, type }] } in top-to-bottom order,
+    // or the original single { image, imageType }
+    const { images, image, imageType } = JSON.parse(event.body);
+    const photos = Array.isArray(images) ? images : [{ data: image, type: imageType }];
+
+    if (photos.length === 0 || photos.some(photo => !photo || !photo.data || !photo.type)) {
+      return jsonResponse(400, { error: 'At least one image with data and a type is required', code: 'invalid_request' });
+    }
+    if (photos.length > MAX_PHOTOS) {
+      return jsonResponse(400, { error: `At most ${MAX_PHOTOS} photos per receipt`, code: 'invalid_request' });
     }
 
     // Validate image type
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-    if (!allowedTypes.includes(imageType)) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
+    if (photos.some(photo => !ALLOWED_TYPES.includes(photo.type))) {
+      return jsonResponse(400, { error: 'Invalid image type. Allowed: JPEG, PNG, GIF, WebP', code: 'invalid_request' });
+    }
+
+    // Photos are independent until the merge, so read them side by side. One photo
+    // failing (timeout, overload) only loses that photo.
+    const signal = AbortSignal.timeout(PHOTO_BUDGET_MS);
+    const results = await Promise.allSettled(photos.map((photo, index) => readReceiptPhoto(photo, index, photos.length, signal)));
+    const pages = results.map((result, index) => {
+      if (result.status === 'fulfilled') return result.value;
+      console.error(`Receipt photo ${index + 1} of ${photos.length} failed:`, result.reason);
+      return null;
+    });
+    const readPages = pages.filter(Boolean);
+
+    // Nothing read because every call failed: report why, e.g. "Nonna is busy"
+    if (results.every(result => result.status === 'rejected')) {
+      if (signal.aborted) {
+        throw new AnthropicError(ERROR_CODES.TIMEOUT, 'Nonna took too long to read the receipt. Please try again.', { retryable: true });
+      }
+      throw results[0].reason;
+    }
+
+    if (readPages.length === 0) {
+      return jsonResponse(200, {
+        items: [],
+        error: 'Failed to parse receipt items. Please try again.'
+      });
+    }
+
+    const unreadPhotos = pages.map((page, index) => page ? null : index).filter(index => index !== null);
+    const items = mergeOverlappingLines(readPages.map(page => page.items));
+    if (items.length === 0) {
+      return jsonResponse(200, {
+        items: [],
+        message: 'No items detected on the receipt. Try a clearer, well-lit photo with the full receipt visible.',
+        unreadPhotos
+      });
+    }
+
+    return jsonResponse(200, {
+      items,
+      count: items.length,
+      receipt: mergeReceiptDetails(readPages),
+      unreadPhotos
+    });
+
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// How many photos a request carries, read before the body is validated so the quota
+// can be charged per photo. Anything malformed counts as one and is rejected later.
+function countPhotos(body) {
+  try {
+    const { images } = JSON.parse(body);
+    return Array.isArray(images) ? Math.min(Math.max(images.length, 1), MAX_PHOTOS) : 1;
+  } catch (e) {
+    return 1;
+  }
+}
+
+// Read one photo. Resolves to { photo, items, otherItems, store, ... } or null when the
+// reply could not be parsed; rejects when the call fails or `signal` ends the budget.
+async function readReceiptPhoto(photo, index, photoCount, signal) {
+  const message = await createMessage({
+    max_tokens: 3000,
+    system: buildSystemPrompt(photoCount),
+    messages: [{
+      role: 'user',
+      content: [
+        {
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: photo.type,
+            data: photo.data
+          }
         },
-        body: JSON.stringify({ error: 'Invalid image type. Allowed: JPEG, PNG, GIF, WebP' }),
-      };
+        {
+          type: 'text',
+          text: photoCount > 1
+            ? `This is photo ${index + 1} of ${photoCount}. Extract the store, date, items and totals visible in it. Return only valid JSON.`
+            : 'Extract the store, date, items and totals from this receipt image. Return only valid JSON.'
+        }
+      ]
+    }]
+  }, { timeoutMs: PHOTO_ATTEMPT_TIMEOUT_MS, maxRetries: PHOTO_MAX_RETRIES, signal });
+
+  const content = getText(message);
+
+  // Extract the JSON object (handles markdown code blocks and stray prose);
+  // a bare array of items is still accepted
+  let parsed = extractJson(content, 'object');
+  if (!parsed || !Array.isArray(parsed.items)) {
+    parsed = { items: extractJson(content, 'array') };
+  }
+  if (!Array.isArray(parsed.items)) return null;
+
+  // Validate items structure
+  const items = parsed.items.filter(item =>
+    item &&
+    typeof item.name === 'string' &&
+    item.name.trim().length > 0
+  ).map(item => ({
+    name: item.name.trim(),
+    quantity: item.quantity || '1',
+    category: item.category || 'Other',
+    location: item.location || 'Pantry',
+    unitPrice: typeof item.unitPrice === 'number' ? item.unitPrice : null,
+    totalPrice: typeof item.totalPrice === 'number' ? item.totalPrice : null,
+    discount: toAmount(item.discount) || 0,
+    confidence: item.confidence || 'medium',
+    printed: typeof item.printed === 'string' ? item.printed.trim() : '',
+    photo: index,
+    box: toBox(item.box)
+  }));
+
+  const otherItems = (Array.isArray(parsed.otherItems) ? parsed.otherItems : [])
+    .filter(item => item && typeof item.name === 'string')
+    .map(item => ({
+      name: item.name.trim(),
+      totalPrice: toAmount(item.totalPrice),
+      discount: toAmount(item.discount) || 0,
+      printed: typeof item.printed === 'string' ? item.printed.trim() : '',
+      photo: index
+    }));
+
+  return {
+    photo: index,
+    items,
+    otherItems,
+    store: typeof parsed.store === 'string' && parsed.store.trim() ? parsed.store.trim() : null,
+    purchaseDate: /^\d{4}-\d{2}-\d{2}$/.test(parsed.purchaseDate || '') ? parsed.purchaseDate : null,
+    orderDiscounts: toAmount(parsed.orderDiscounts) || 0,
+    subtotal: toAmount(parsed.subtotal),
+    tax: toAmount(parsed.tax),
+    total: toAmount(parsed.total)
+  };
+}
+
+// Store and date come from the top of the receipt, totals from the bottom
+function mergeReceiptDetails(pages) {
+  const first = key => (pages.find(page => page[key] != null) || {})[key] ?? null;
+  const totalsPage = [...pages].reverse().find(page => page.subtotal != null || page.total != null) || {};
+  return {
+    store: first('store'),
+    purchaseDate: first('purchaseDate'),
+    otherItems: mergeOverlappingLines(pages.map(page => page.otherItems)),
+    // Coupon summaries repeat when photos overlap, so never add them up across photos
+    orderDiscounts: totalsPage.orderDiscounts || Math.max(0, ...pages.map(page => page.orderDiscounts)),
+    subtotal: totalsPage.subtotal ?? null,
+    tax: totalsPage.tax ?? null,
+    total: totalsPage.total ?? null
+  };
+}
+
+// Join per-photo line lists in order. Where the end of one photo and the start of the
+// next show the same lines, keep one copy (the more confident read). Only a run that
+// ends the previous photo and starts the next one counts as overlap, so buying the same
+// thing twice on separate lines is not mistaken for a duplicate.
+function mergeOverlappingLines(lists) {
+  const merged = [];
+  let previous = [];
+  lists.forEach(list => {
+    let overlap = 0;
+    for (let n = Math.min(previous.length, list.length); n > 0; n--) {
+      const tail = previous.slice(previous.length - n);
+      if (tail.every((line, i) => isSameLine(line, list[i]))) {
+        overlap = n;
+        break;
+      }
     }
+    for (let i = 0; i < overlap; i++) {
+      const position = merged.length - overlap + i;
+      if ((CONFIDENCE_RANK[list[i].confidence] ?? 1) > (CONFIDENCE_RANK[merged[position].confidence] ?? 1)) {
+        merged[position] = list[i];
+      }
+    }
+    merged.push(...list.slice(overlap));
+    previous = list;
+  });
+  return merged.map(({ printed, ...line }) => line);
+}
+
+// Two reads of the same printed line: equal prices (when both were read) and
+// names that share most of their words
+function isSameLine(a, b) {
+  if (a.totalPrice != null && b.totalPrice != null && Math.abs(a.totalPrice - b.totalPrice) > 0.001) return false;
+  const words = line => new Set(String(line.printed || line.name).toLowerCase().match(/[a-z0-9]+/g) || []);
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (!wordsA.size || !wordsB.size) return false;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size) >= 0.6;
+}
+
+// Vertical position of a line as fractions of the photo height, for cropping in the browser
+function toBox(box) {
+  if (!box || typeof box !== 'object') return null;
+  const top = Number(box.top);
+  const bottom = Number(box.bottom);
+  if (!Number.isFinite(top) || !Number.isFinite(bottom) || bottom <= top) return null;
+  return { top: Math.max(0, Math.min(1, top)), bottom: Math.max(0, Math.min(1, bottom)) };
+}
 
-    // System prompt for receipt analysis
-    const systemPrompt = `You are analyzing a photo of a grocery store receipt.
+function buildSystemPrompt(photoCount) {
+  const multiPhoto = photoCount > 1
+    ? `
+This receipt was too long for one photo, so it was taken as ${photoCount} overlapping photos, top to bottom.
+You are looking at ONE of them. Transcribe only what is visible in this photo; lines near the top and bottom
+edges may also appear in the neighbouring photos — include them anyway if their price is readable.
+Leave store, purchaseDate, subtotal, tax and total as null when they are not in this photo.
+`
+    : '';
 
-Your task: Extract all FOOD items from this receipt, reading the printed text carefully.
+  return `You are analyzing a photo of a grocery store receipt.
+${multiPhoto}
+Your task: Read the whole receipt carefully. Extract all FOOD items, the other (non-food) purchases, and the receipt's header and totals.
 
 For each food item, determine:
+- Printed text: The line exactly as printed (e.g., "ORG BABY SPINACH 5OZ")
 - Product name: Clean up abbreviated receipt text into a readable name (e.g., "ORG BABY SPINACH 5OZ" becomes "Organic Baby Spinach", "GV WHL MLK GAL" becomes "Great Value Whole Milk", "BNLS SKNLS CHKN BRST" becomes "Boneless Skinless Chicken Breast")
 - Quantity: Number purchased (usually 1 unless a quantity multiplier is shown, e.g., "2 @ 3.99" means quantity 2)
 - Category: Produce, Proteins, Dairy, Grains, Canned Goods, Spices, Condiments, Frozen, Beverages, Snacks, Other
 - Location: Infer the best storage location from the item type (Produce/Dairy/Proteins → "Fridge", Canned/Grains/Spices/Snacks → "Pantry", Frozen items → "Freezer")
 - Unit price: Price per single item (number, e.g., 3.99)
-- Total price: Total line price (number, e.g., 7.98 for qty 2 at 3.99 each)
+- Total price: Total line price BEFORE any discount (number, e.g., 7.98 for qty 2 at 3.99 each)
+- Discount: Savings printed directly under or beside this line (member price, "YOU SAVED", instant coupon for this item) as a positive number, or 0
+- Box: Where the line sits in the photo, as fractions of the photo height from the top (e.g., { "top": 0.42, "bottom": 0.45 })
 - Confidence: high (clearly readable text), medium (partially readable), low (guessing)
 
-Return ONLY valid JSON array (no markdown formatting, no code blocks, no explanation):
-[
-  {
-    "name": "Organic Baby Spinach",
-    "quantity": "1",
-    "category": "Produce",
-    "location": "Fridge",
-    "unitPrice": 5.99,
-    "totalPrice": 5.99,
-    "confidence": "high"
-  }
-]
+Also extract:
+- store: Store name as printed at the top (e.g., "Trader Joe's"), or null
+- purchaseDate: Date of purchase as YYYY-MM-DD, or null if not printed
+- otherItems: Every purchased line that is NOT food or beverage (bags, cleaning supplies, paper goods, deposits), with printed, name, totalPrice and discount — needed to check the subtotal
+- orderDiscounts: Total of coupons/discounts that are NOT tied to a specific line (positive number, 0 if none)
+- subtotal, tax, total: As printed (numbers), or null if not visible
+
+Return ONLY a valid JSON object (no markdown formatting, no code blocks, no explanation):
+{
+  "store": "Trader Joe's",
+  "purchaseDate": "2024-05-18",
+  "items": [
+    {
+      "printed": "ORG BABY SPINACH 5OZ",
+      "name": "Organic Baby Spinach",
+      "quantity": "1",
+      "category": "Produce",
+      "location": "Fridge",
+      "unitPrice": 5.99,
+      "totalPrice": 5.99,
+      "discount": 1.00,
+      "box": { "top": 0.42, "bottom": 0.45 },
+      "confidence": "high"
+    }
+  ],
+  "otherItems": [{ "printed": "PAPER BAG", "name": "Paper Bag", "totalPrice": 0.10, "discount": 0 }],
+  "orderDiscounts": 0,
+  "subtotal": 5.09,
+  "tax": 0.01,
+  "total": 5.10
+}
 
 Rules:
-- Only include FOOD and BEVERAGE items — skip tax lines, bag fees, discounts, subtotals, payment info, loyalty card numbers, coupons, and non-food items (cleaning supplies, paper goods, etc.)
+- items holds only FOOD and BEVERAGE purchases, in the order they are printed — never tax lines, discounts, subtotals, payment info, loyalty card numbers or coupons
 - Normalize abbreviated product names into clear, readable English
 - Include brand names when clearly visible (e.g., "Barilla Spaghetti" not just "Spaghetti")
 - If a weight-priced item shows "1.23 lb @ 4.99/lb", set quantity to "1.23 lb" and calculate total
 - If the receipt is blurry, crumpled, or partially cut off, extract what you can and mark confidence as "low" for unclear items
-- If no food items are identifiable, return an empty array []
-- Default quantity to "1" if not explicitly shown on the receipt`;
-
-    // Call Anthropic API with vision
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2000,
-        system: systemPrompt,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: imageType,
-                data: image
-              }
-            },
-            {
-              type: 'text',
-              text: 'Extract all grocery food items from this receipt image. Return only valid JSON.'
-            }
-          ]
-        }]
-      }),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Anthropic API error:', response.status, errorData);
-      return {
-        statusCode: response.status,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: errorData.error?.message || `API error: ${response.status}`
-        }),
-      };
-    }
+- If no food items are identifiable, return an empty items array
+- Default quantity to "1" if not explicitly shown on the receipt
+- Never invent a subtotal, tax or total that is not printed`;
+}
 
-    const data = await response.json();
-    const content = data.content[0].text;
-
-    // Extract JSON from response (handle potential markdown code blocks)
-    let jsonStr = content;
-
-    // Remove markdown code blocks if present
-    const codeBlockMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (codeBlockMatch) {
-      jsonStr = codeBlockMatch[1].trim();
-    }
-
-    // Try to find JSON array
-    const jsonMatch = jsonStr.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          items: [],
-          message: 'No items detected on the receipt. Try a clearer, well-lit photo with the full receipt visible.'
-        }),
-      };
-    }
-
-    try {
-      const items = JSON.parse(jsonMatch[0]);
-
-      // Validate items structure
-      const validatedItems = items.filter(item =>
-        item &&
-        typeof item.name === 'string' &&
-        item.name.trim().length > 0
-      ).map(item => ({
-        name: item.name.trim(),
-        quantity: item.quantity || '1',
-        category: item.category || 'Other',
-        location: item.location || 'Pantry',
-        unitPrice: typeof item.unitPrice === 'number' ? item.unitPrice : null,
-        totalPrice: typeof item.totalPrice === 'number' ? item.totalPrice : null,
-        confidence: item.confidence || 'medium'
-      }));
-
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          items: validatedItems,
-          count: validatedItems.length
-        }),
-      };
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError, 'Content:', jsonMatch[0]);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          items: [],
-          error: 'Failed to parse receipt items. Please try again.'
-        }),
-      };
-    }
-
-  } catch (error) {
-    console.error('Function error:', error);
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({ error: error.message || 'Internal server error' }),
-    };
-  }
-};
+// Money amounts as numbers; discounts sometimes come back negative or as "$1.00"
+function toAmount(value) {
+  const num = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(num) ? Math.abs(Math.round(num * 100) / 100) : null;
+}
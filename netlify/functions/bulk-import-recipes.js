@@ -0,0 +1,202 @@
+// Netlify serverless function to import many recipes at once from other recipe managers
+// The browser unpacks the export (Paprika, Mealie, Tandoor, JSON-LD or HTML files) and sends
+// the recipe documents in batches; each one goes through the same parse/normalize pipeline
+// as import-recipe and gets its own success or failure entry in the report
+
+const cheerio = require('cheerio');
+const { jsonResponse, preflightResponse, methodNotAllowed, errorResponse } = require('../lib/http');
+const { guardRequest } = require('../lib/auth');
+const {
+  findSchemaRecipe,
+  extractJsonLd,
+  extractMicrodata,
+  parseSchemaRecipe,
+  normalizeRecipe,
+  cleanText,
+} = require('../lib/recipes');
+
+const MAX_ITEMS_PER_BATCH = 50;
+const FORMATS = ['paprika', 'mealie', 'tandoor', 'jsonld', 'html'];
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return methodNotAllowed();
+  }
+
+  // Signed-in users only, within their bulk import quota (one batch counts once)
+  const guard = await guardRequest(event, 'bulk');
+  if (guard.response) {
+    return guard.response;
+  }
+
+  try {
+    const { items } = JSON.parse(event.body);
+    if (!Array.isArray(items) || items.length === 0) {
+      return jsonResponse(400, { error: 'Items array is required', code: 'invalid_request' });
+    }
+    if (items.length > MAX_ITEMS_PER_BATCH) {
+      return jsonResponse(400, { error: `At most ${MAX_ITEMS_PER_BATCH} recipes per batch`, code: 'invalid_request' });
+    }
+
+    const results = items.map(item => {
+      const base = { id: item && item.id, fileName: item && item.fileName };
+      try {
+        const format = FORMATS.includes(item.format) ? item.format : detectFormat(item.content);
+        const recipe = parseByFormat(format, item.content);
+        if (!recipe || (!recipe.ingredients.length && !recipe.instructions.length)) {
+          return { ...base, ok: false, format, error: 'No recipe found in this file' };
+        }
+        return { ...base, ok: true, format, recipe: normalizeRecipe(recipe, recipe.sourceUrl || null) };
+      } catch (err) {
+        return { ...base, ok: false, error: err.message || 'Could not read this recipe' };
+      }
+    });
+
+    return jsonResponse(200, {
+      results,
+      imported: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok).length,
+    });
+  } catch (err) {
+    console.error('Bulk import error:', err);
+    return errorResponse(err, 'Failed to import recipes');
+  }
+};
+
+// Guess the source app from the shape of the document
+function detectFormat(content) {
+  if (typeof content === 'string') {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('<')) return 'html';
+    throw new Error('Unrecognized file contents');
+  }
+  if (!content || typeof content !== 'object') throw new Error('Unrecognized file contents');
+  if (Array.isArray(content) || content['@context'] || content['@type'] || content['@graph']) return 'jsonld';
+  if (typeof content.directions === 'string' || (typeof content.ingredients === 'string' && 'uid' in content)) return 'paprika';
+  if (Array.isArray(content.steps) && content.steps.some(step => step && 'instruction' in step)) return 'tandoor';
+  if (Array.isArray(content.recipeIngredient) || 'performTime' in content || 'orgURL' in content) return 'mealie';
+  throw new Error('Unrecognized recipe format');
+}
+
+function parseByFormat(format, content) {
+  switch (format) {
+    case 'paprika': return fromPaprika(content);
+    case 'mealie': return fromMealie(content);
+    case 'tandoor': return fromTandoor(content);
+    case 'html': return fromHtml(content);
+    default: {
+      const found = findSchemaRecipe(content);
+      if (!found) throw new Error('No schema.org Recipe in this file');
+      return withSource(parseSchemaRecipe(found), found.url || found.mainEntityOfPage);
+    }
+  }
+}
+
+function withSource(recipe, url) {
+  const sourceUrl = typeof url === 'string' ? url : (url && url['@id']) || null;
+  return { ...recipe, sourceUrl: /^https?:\/\//i.test(sourceUrl || '') ? sourceUrl : null };
+}
+
+function splitLines(text) {
+  return String(text || '').split(/\r?\n+/).map(line => cleanText(line)).filter(Boolean);
+}
+
+// Paprika: one gzip'd JSON document per recipe inside the .paprikarecipes archive
+function fromPaprika(data) {
+  const recipe = parseSchemaRecipe({
+    name: data.name,
+    description: data.description,
+    recipeIngredient: splitLines(data.ingredients),
+    recipeInstructions: data.directions || '',
+    recipeYield: data.servings,
+    prepTime: data.prep_time,
+    cookTime: data.cook_time,
+    totalTime: data.total_time,
+    image: data.image_url,
+    recipeCategory: data.categories,
+    nutrition: { calories: (String(data.nutritional_info || '').match(/(\d+)\s*(?:k?cal|calories)/i) || [])[1] },
+  });
+  return withSource(recipe, data.source_url);
+}
+
+// Mealie: schema.org-like, but ingredients, instructions and categories are objects
+function fromMealie(data) {
+  const ingredientText = ing => {
+    if (typeof ing === 'string') return ing;
+    if (ing.display) return ing.display;
+    if (ing.originalText) return ing.originalText;
+    return [ing.quantity || '', ing.unit && ing.unit.name, ing.food && ing.food.name, ing.note]
+      .filter(Boolean).join(' ');
+  };
+  const recipe = parseSchemaRecipe({
+    name: data.name,
+    description: data.description,
+    recipeIngredient: (data.recipeIngredient || []).map(ingredientText),
+    recipeInstructions: mealieInstructions(data.recipeInstructions || []),
+    recipeYield: data.recipeYield || data.recipeServings,
+    prepTime: data.prepTime,
+    cookTime: data.performTime || data.cookTime,
+    totalTime: data.totalTime,
+    recipeCuisine: (data.tags || []).map(tag => tag.name || tag).filter(Boolean)[0] || '',
+    recipeCategory: (data.recipeCategory || []).map(cat => cat.name || cat),
+    nutrition: data.nutrition,
+  });
+  return withSource(recipe, data.orgURL);
+}
+
+// Mealie marks the first step of a section with a title; map those to HowToSections
+function mealieInstructions(steps) {
+  if (!steps.some(step => step && step.title)) {
+    return steps.map(step => typeof step === 'string' ? step : step.text || '');
+  }
+  const sections = [];
+  steps.forEach(step => {
+    const text = typeof step === 'string' ? step : step.text || '';
+    if (step.title || !sections.length) {
+      sections.push({ '@type': 'HowToSection', name: step.title || 'Steps', itemListElement: [] });
+    }
+    sections[sections.length - 1].itemListElement.push(text);
+  });
+  return sections;
+}
+
+// Tandoor: ingredients live inside each step
+function fromTandoor(data) {
+  const ingredients = [];
+  const instructions = [];
+  (data.steps || []).forEach(step => {
+    (step.ingredients || []).forEach(ing => {
+      if (ing.is_header) return;
+      const line = [ing.amount || '', ing.unit && ing.unit.name, ing.food && ing.food.name]
+        .filter(Boolean).join(' ');
+      ingredients.push(ing.note ? `${line}, ${ing.note}` : line);
+    });
+    const lines = splitLines(step.instruction);
+    if (lines.length) instructions.push({ '@type': 'HowToSection', name: step.name || 'Steps', itemListElement: lines });
+  });
+  const recipe = parseSchemaRecipe({
+    name: data.name,
+    description: data.description,
+    recipeIngredient: ingredients,
+    recipeInstructions: instructions,
+    recipeYield: data.servings,
+    prepTime: data.working_time,
+    cookTime: data.waiting_time,
+    recipeCategory: (data.keywords || []).map(k => k.name || k),
+  });
+  return withSource(recipe, data.source_url);
+}
+
+// Saved web pages: JSON-LD first, then microdata, like the URL importer
+function fromHtml(html) {
+  const $ = cheerio.load(html);
+  const recipe = extractJsonLd($) || extractMicrodata($);
+  if (!recipe) throw new Error('No recipe markup found in this page');
+  const canonical = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+  return withSource(recipe, canonical);
+}
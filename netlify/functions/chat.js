@@ -1,46 +1,31 @@
 // Netlify serverless function to handle Anthropic API calls
 // This keeps the API key secure on the server side
+// Replies are streamed to the browser as server-sent events so Nonna's answer appears as it is written
 
-exports.handler = async (event, context) => {
+const { stream } = require('@netlify/functions');
+const { streamMessage, ERROR_CODES, AnthropicError } = require('../lib/anthropic');
+const { CORS_HEADERS, jsonResponse, preflightResponse, methodNotAllowed, errorResponse } = require('../lib/http');
+const { guardRequest } = require('../lib/auth');
+const { getStructuredToolDefinitions, validateStructuredToolCall } = require('../lib/chat-schemas');
+
+// Give up on a reply when Anthropic sends nothing for this long mid-stream
+const STREAM_IDLE_TIMEOUT_MS = 15000;
+
+exports.handler = stream(async (event, context) => {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      },
-      body: '',
-    };
+    return preflightResponse();
   }
 
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-      },
-      body: JSON.stringify({ error: 'Method not allowed' }),
-    };
+    return methodNotAllowed();
   }
 
-  // Get API key from environment variable
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    console.error('ANTHROPIC_API_KEY environment variable is not set');
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({ error: 'API key not configured on server' }),
-    };
+  // Signed-in users only, within their chat quota
+  const guard = await guardRequest(event, 'chat');
+  if (guard.response) {
+    return guard.response;
   }
 
   try {
@@ -48,14 +33,7 @@ exports.handler = async (event, context) => {
     const { messages, profileText, flareMode, recentMeals, recipeRatings, workoutData, pantryData, gardenData } = JSON.parse(event.body);
 
     if (!messages || !Array.isArray(messages)) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({ error: 'Messages array is required' }),
-      };
+      return jsonResponse(400, { error: 'Messages array is required', code: 'invalid_request' });
     }
 
     // Build the enhanced Nonna system prompt
@@ -96,9 +74,9 @@ ${pantryData || 'No pantry data available.'}
 ${gardenData || 'No garden data available.'}
 
 ## PANTRY UPDATE DETECTION
-When the user mentions using, consuming, buying, or running out of ingredients in conversation, include a structured pantry update command at the END of your response (after your normal conversational reply).
+When the user mentions using, consuming, buying, or running out of ingredients in conversation, include a structured pantry update command at the END of your text reply (after your normal conversational reply, before any recipe/plan/list tool call).
 
-Format (one per line, at the very end of your response):
+Format (one per line, at the end of your text reply):
 [PANTRY_UPDATE: action=used, item=chicken breast, quantity=1]
 [PANTRY_UPDATE: action=added, item=roma tomatoes, quantity=6]
 [PANTRY_UPDATE: action=removed, item=olive oil]
@@ -113,7 +91,7 @@ Actions:
 Rules:
 - Only include pantry updates when the user EXPLICITLY mentions using/buying/removing food
 - Do NOT infer pantry changes from recipes you suggest — only from what the user TELLS you they did
-- Your conversational response comes FIRST, the [PANTRY_UPDATE] lines come LAST
+- Your conversational response comes FIRST, the [PANTRY_UPDATE] lines come LAST in the text
 - If the user says "I made the lemon salmon last night", mark the salmon and lemon as "used"
 - If no pantry updates are needed, don't include any [PANTRY_UPDATE] lines
 - Match item names to what's in the pantry inventory above as closely as possible
@@ -233,96 +211,14 @@ All recipes should serve 2 people unless specifically requested otherwise. This
 - When user asks for modifications, regenerate the recipe with the SAME NAME but updated content
 - Each recipe should have ONE consistent name throughout the conversation
 
-### For Meal Suggestions & Recipes
-Always use this structured format for recipes:
-
-=== RECIPE: [Recipe Name] ===
-Serves: 2 | Prep: [X]min | Cook: [X]min | Total: [X]min
-Difficulty: [Easy/Medium]
-
-**TAGS:** [Include relevant tags based on user's conditions, e.g., Crohn's-Friendly, Heart-Healthy, Low-Sodium, Anti-Inflammatory, Diabetic-Friendly, Quick, etc.]
-
-**NUTRITION (per serving):**
-- Calories: ~[X] | Protein: [X]g | Carbs: [X]g | Fat: [X]g | Fiber: [X]g | Sodium: [X]mg
-
-**INGREDIENTS:**
-- [amount] [ingredient]
-- [amount] [ingredient]
-
-**INSTRUCTIONS:**
-
-**PREP:**
-1. [Preparation step - measuring, chopping, marinating]
-2. [More prep steps]
-
-**COOK:**
-1. [Cooking step - sauteing, baking, simmering]
-2. [More cooking steps]
+### Recipes, Meal Plans and Shopping Lists
+Never write recipes, weekly meal plans or shopping lists out as markdown. The app shows them as cards, so always deliver them with the tools:
 
-**PLATE:**
-1. [Plating, garnishing, serving]
+- **present_recipe** - one call per complete recipe. Group instructions into phases: typically Prep, Cook, Plate; for complex recipes add component phases like The Sauce, The Rice, The Filling. Fill in nutrition per serving, tags based on the user's conditions (Crohn's-Friendly, Heart-Healthy, Low-Sodium, Anti-Inflammatory, Diabetic-Friendly, Quick, etc.), why it helps their health, modifications (flare day, lower sodium, lower carb), garden notes and storage.
+- **present_week_plan** - when the user asks for a weekly plan. Include breakfast, lunch, dinner and snacks with approximate calories for every day so calorie tracking works, plus prep-day tasks. Use ingredients from the user's pantry inventory.
+- **present_shopping_list** - when the user asks for a shopping list. Give each item an amount and category, and an estimated total range.
 
-Note: Group steps into logical phases. Typical phases: PREP, COOK, PLATE. For complex recipes, add component phases like THE SAUCE, THE RICE, THE FILLING, etc. Always start each phase with a bold header like **PHASE NAME:** followed by numbered steps.
-
-**WHY THIS HELPS YOUR HEALTH:**
-[Brief explanation of how this recipe supports the user's specific health conditions]
-
-**MODIFICATIONS:**
-- Flare day: [gentler version]
-- Lower sodium: [if applicable]
-- Lower carb: [if applicable]
-
-**GARDEN NOTES:**
-- [What ingredients could come from the garden]
-
-**STORAGE:**
-- [How long it keeps, freezing instructions if applicable]
-
----
-
-### For Shopping Lists
-=== SHOPPING LIST ===
-**PRODUCE:**
-☐ [item] - [amount]
-
-**PROTEINS:**
-☐ [item] - [amount]
-
-**DAIRY:**
-☐ [item] - [amount]
-
-**PANTRY:**
-☐ [item] - [amount]
-
-**ESTIMATED TOTAL:** $[XX-XX]
-
----
-
-### For Meal Plans
-When user asks for a weekly plan, provide ALL meals for calorie tracking integration:
-
-=== WEEKLY MEAL PLAN ===
-**MONDAY**
-- 🌅 Breakfast: [meal name] (~[X] cal)
-- 🌞 Lunch: [meal name] (~[X] cal)
-- 🌙 Dinner: [meal name] (~[X] cal)
-- 🍎 Snacks: [snack ideas] (~[X] cal)
-- Daily Total: ~[X] cal
-
-**TUESDAY**
-[same format...]
-
-[Continue for all 7 days]
-
-**WEEKLY TOTALS:**
-- Average daily calories: ~[X]
-- Total groceries needed: [brief list]
-
-**PREP DAY TASKS (Sunday):**
-1. [Batch cooking task]
-2. [Prep task]
-
-**IMPORTANT:** Use ingredients from the user's pantry inventory. Note any items they need to buy.
+Write your short conversational reply first (introduce the dish, answer questions, note anything they need to buy), then call the tool(s) at the very end of your turn.
 
 ---
 
@@ -340,59 +236,158 @@ End conversations with encouragement. You want this person to feel cared for and
 
 Buon appetito, cara! 🍅`;
 
-    // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4000,
-        system: systemPrompt,
-        messages: messages,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Anthropic API error:', response.status, errorData);
-      return {
-        statusCode: response.status,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: errorData.error?.message || `API error: ${response.status}`
-        }),
-      };
-    }
-
-    const data = await response.json();
+    // Call Anthropic API with streaming enabled. The controller lets us cancel the
+    // upstream request when the browser disconnects (e.g. the user pressed stop).
+    const upstream = new AbortController();
+    const { response, release } = await streamMessage({
+      max_tokens: 4000,
+      system: systemPrompt,
+      messages: messages,
+      tools: getStructuredToolDefinitions(),
+      tool_choice: { type: 'auto' },
+    }, { signal: upstream.signal });
 
     return {
       statusCode: 200,
       headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        ...CORS_HEADERS,
       },
-      body: JSON.stringify({
-        content: data.content[0].text,
-      }),
+      body: relayAnthropicStream(response.body, { upstream, release }),
     };
 
   } catch (error) {
-    console.error('Function error:', error);
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({ error: error.message || 'Internal server error' }),
-    };
+    return errorResponse(error);
+  }
+});
+
+// Re-emit Anthropic's SSE stream as a simpler one for the browser:
+//   data: {"type":"delta","text":"..."}   - a chunk of reply text
+//   data: {"type":"structured","kind":"recipe","data":{...}}   - a validated recipe, weekPlan or shoppingList
+//   data: {"type":"structured_error","kind":"recipe"}   - a tool call that failed validation
+//   data: {"type":"done","stopReason":"end_turn"}
+//   data: {"type":"error","error":"...","code":"overloaded"}
+// Cancelling the returned stream (client disconnected) aborts the upstream request, as
+// does a gap of idleTimeoutMs between upstream chunks. release() from streamMessage is
+// called once the stream has ended either way.
+function relayAnthropicStream(upstreamBody, { upstream, release = () => {}, idleTimeoutMs = STREAM_IDLE_TIMEOUT_MS }) {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const reader = upstreamBody.getReader();
+  let buffer = '';
+  let stopReason = null;
+  // Tool calls stream their input as partial JSON; collect it per content block index
+  const toolBlocks = {};
+
+  const send = (controller, payload) => {
+    controller.enqueue(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+  };
+
+  const readWithIdleTimeout = () => {
+    let timer;
+    const idle = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new AnthropicError(ERROR_CODES.TIMEOUT, 'Nonna stopped answering partway. Please try again.', { retryable: true })), idleTimeoutMs);
+    });
+    return Promise.race([reader.read(), idle]).finally(() => clearTimeout(timer));
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        // Keep reading until we have something to forward; returning from pull()
+        // without enqueuing would stall the stream.
+        let forwarded = false;
+        while (!forwarded) {
+          const { value, done } = await readWithIdleTimeout();
+          if (done) {
+            release();
+            send(controller, { type: 'done', stopReason });
+            controller.close();
+            return;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const events = buffer.split('\n\n');
+          buffer = events.pop();
+
+          for (const rawEvent of events) {
+            const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+            if (!dataLine) continue;
+
+            let data;
+            try {
+              data = JSON.parse(dataLine.slice(5).trim());
+            } catch (e) {
+              continue; // Skip malformed events
+            }
+
+            if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+              send(controller, { type: 'delta', text: data.delta.text });
+              forwarded = true;
+            } else if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
+              toolBlocks[data.index] = { name: data.content_block.name, json: '' };
+            } else if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+              if (toolBlocks[data.index]) toolBlocks[data.index].json += data.delta.partial_json;
+            } else if (data.type === 'content_block_stop' && toolBlocks[data.index]) {
+              const block = toolBlocks[data.index];
+              delete toolBlocks[data.index];
+              const structured = parseToolBlock(block);
+              if (structured.errors) {
+                send(controller, { type: 'structured_error', kind: structured.kind });
+              } else {
+                send(controller, { type: 'structured', kind: structured.kind, data: structured.data });
+              }
+              forwarded = true;
+            } else if (data.type === 'message_delta' && data.delta?.stop_reason) {
+              stopReason = data.delta.stop_reason;
+            } else if (data.type === 'error') {
+              console.error('Anthropic stream error:', data.error);
+              const overloaded = data.error?.type === 'overloaded_error';
+              send(controller, {
+                type: 'error',
+                error: overloaded ? 'Nonna is busy right now. Please try again in a moment.' : (data.error?.message || 'Stream error'),
+                code: overloaded ? ERROR_CODES.OVERLOADED : ERROR_CODES.UPSTREAM,
+              });
+              forwarded = true;
+            }
+          }
+        }
+      } catch (error) {
+        upstream.abort();
+        release();
+        if (error.name === 'AbortError') return;
+        console.error('Stream relay error:', error);
+        send(controller, { type: 'error', error: error.message || 'Stream interrupted', code: error.code || ERROR_CODES.UPSTREAM });
+        controller.close();
+      }
+    },
+
+    cancel() {
+      upstream.abort();
+      release();
+      reader.cancel().catch(() => {});
+    },
+  });
+}
+
+// Parse and validate a finished tool call. Returns { kind, data } or { kind, errors }.
+// Invalid output never reaches the UI as a card; the relay tells the client which kind
+// of card failed so it can say so, and the conversational text still goes through.
+function parseToolBlock(block) {
+  let input;
+  try {
+    input = JSON.parse(block.json || '{}');
+  } catch (e) {
+    console.error(`Could not parse ${block.name} input:`, e.message);
   }
-};
+
+  const result = validateStructuredToolCall(block.name, input);
+  if (result.errors) {
+    console.error(`Invalid ${block.name} output:`, result.errors.slice(0, 10));
+  }
+  return result;
+}
+
+// For tests
+exports.relayAnthropicStream = relayAnthropicStream;
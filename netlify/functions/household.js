@@ -0,0 +1,70 @@
+// Netlify serverless function for household membership
+// Everything that changes who belongs to a household goes through here, since security
+// rules only let clients read households and edit shared content (see firestore.rules).
+// POST { action, ...params }:
+//   invite { householdId, email?, role? }     -> { token, expiresAt }   (owner)
+//   invites { householdId }                   -> { invites }            (owner)
+//   revokeInvite { householdId, inviteId }    -> { revoked }            (owner)
+//   join { token }                            -> { householdId, name, role, moved, leftBehind }
+//   remove { householdId, memberId }          -> { removed }            (owner)
+//   leave { householdId }                     -> { left }
+//   setRole { householdId, memberId, role }   -> { memberId, role }     (owner)
+
+const { jsonResponse, preflightResponse, methodNotAllowed, errorResponse } = require('../lib/http');
+const { guardRequest } = require('../lib/auth');
+const { getDb } = require('../lib/firestore');
+const {
+  HouseholdError,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  redeemInvite,
+  removeMember,
+  leaveHousehold,
+  setMemberRole,
+} = require('../lib/households');
+
+const ACTIONS = {
+  invite: async (db, user, params) => createInvite(db, user, params),
+  invites: async (db, user, params) => ({ invites: await listInvites(db, user, params) }),
+  revokeInvite: async (db, user, params) => revokeInvite(db, user, params),
+  join: async (db, user, params) => redeemInvite(db, user, params),
+  remove: async (db, user, params) => removeMember(db, user, params),
+  leave: async (db, user, params) => leaveHousehold(db, user, params),
+  setRole: async (db, user, params) => setMemberRole(db, user, params),
+};
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return methodNotAllowed();
+  }
+
+  // Signed-in users only, within their household quota (guessing invite links is slow)
+  const guard = await guardRequest(event, 'household');
+  if (guard.response) {
+    return guard.response;
+  }
+
+  try {
+    const { action, ...params } = JSON.parse(event.body || '{}');
+    if (!ACTIONS[action]) {
+      return jsonResponse(400, { error: `Unknown action. Use one of: ${Object.keys(ACTIONS).join(', ')}`, code: 'invalid_request' });
+    }
+
+    const result = await ACTIONS[action](getDb(), guard.user, params);
+    return jsonResponse(200, result);
+  } catch (error) {
+    if (error instanceof HouseholdError) {
+      return jsonResponse(error.status, { error: error.message, code: error.code });
+    }
+    if (error instanceof SyntaxError) {
+      return jsonResponse(400, { error: 'Request body must be JSON', code: 'invalid_request' });
+    }
+    return errorResponse(error, 'Household update failed');
+  }
+};
@@ -0,0 +1,174 @@
+// Netlify serverless function to import a recipe from photos using Claude Vision API
+// Reads cookbook pages or handwritten recipe cards (one or more photos of the same recipe)
+// and returns the same normalized shape as import-recipe, plus the fields Nonna was unsure of
+
+const { createMessage, getText, extractJson } = require('../lib/anthropic');
+const { jsonResponse, preflightResponse, methodNotAllowed, errorResponse } = require('../lib/http');
+const { guardRequest } = require('../lib/auth');
+const { normalizeRecipe, cleanText } = require('../lib/recipes');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_PHOTOS = 4;
+const CONFIDENCE_FIELDS = ['name', 'servings', 'prepTime', 'cookTime', 'totalTime'];
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return methodNotAllowed();
+  }
+
+  // Signed-in users only, within their vision quota
+  const guard = await guardRequest(event, 'vision');
+  if (guard.response) {
+    return guard.response;
+  }
+
+  try {
+    // Parse the request body
+    const { images } = JSON.parse(event.body);
+
+    if (!Array.isArray(images) || images.length === 0) {
+      return jsonResponse(400, { error: 'At least one image is required', code: 'invalid_request' });
+    }
+    if (images.length > MAX_PHOTOS) {
+      return jsonResponse(400, { error: `At most ${MAX_PHOTOS} photos per recipe`, code: 'invalid_request' });
+    }
+    if (images.some(img => !img || !img.data || !ALLOWED_TYPES.includes(img.type))) {
+      return jsonResponse(400, { error: 'Each image needs data and a type. Allowed: JPEG, PNG, GIF, WebP', code: 'invalid_request' });
+    }
+
+    // System prompt for recipe transcription
+    const systemPrompt = `You are transcribing a recipe from photos of a printed cookbook page or a handwritten recipe card.
+The photos are pages of ONE recipe, in order (e.g. front and back of a card, or a recipe spanning two pages).
+
+Your task: Transcribe the recipe faithfully. Do not invent ingredients, steps, times or servings that are not on the page.
+
+For each ingredient line and instruction step, rate your confidence:
+- high: clearly printed or legible
+- medium: mostly legible, one word or number uncertain
+- low: guessing (smudged, cut off, hard-to-read handwriting)
+Also rate name, servings, prepTime, cookTime and totalTime. Use null (and no rating) for anything not on the page.
+
+Return ONLY a valid JSON object (no markdown formatting, no code blocks, no explanation):
+{
+  "found": true,
+  "name": "Nonna's Lentil Soup",
+  "description": "",
+  "ingredients": [{ "text": "1 cup brown lentils, rinsed", "confidence": "high" }],
+  "instructions": [{ "text": "Soften the onion in olive oil.", "confidence": "medium" }],
+  "prepTime": 15,
+  "cookTime": 40,
+  "totalTime": null,
+  "servings": 4,
+  "cuisine": "",
+  "category": "",
+  "fieldConfidence": { "name": "high", "servings": "low", "prepTime": "medium", "cookTime": "high" },
+  "notes": "Last line of the card is cut off"
+}
+
+Rules:
+- Times are in minutes, servings is a number
+- Keep quantities and units exactly as written (fractions like 1/2 are fine)
+- Join lines of one step that wrap across the page; split numbered steps
+- If the photos do not show a recipe, return {"found": false, "notes": "why"}`;
+
+    const content = images.map(img => ({
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: img.type,
+        data: img.data
+      }
+    }));
+    content.push({
+      type: 'text',
+      text: `Transcribe the recipe from ${images.length === 1 ? 'this photo' : `these ${images.length} photos`}. Return only valid JSON.`
+    });
+
+    // Call Anthropic API with vision
+    const message = await createMessage({
+      max_tokens: 3000,
+      system: systemPrompt,
+      messages: [{ role: 'user', content }]
+    });
+
+    const parsed = extractJson(getText(message), 'object');
+    if (!parsed) {
+      return jsonResponse(502, { error: 'Nonna could not read the recipe from those photos. Please try again.', code: 'bad_response' });
+    }
+
+    if (parsed.found === false || (!Array.isArray(parsed.ingredients) && !Array.isArray(parsed.instructions))) {
+      return jsonResponse(422, {
+        error: parsed.notes ? `No recipe found: ${cleanText(parsed.notes)}` : 'No recipe found in those photos.',
+        code: 'no_recipe_found'
+      });
+    }
+
+    return jsonResponse(200, buildScannedRecipe(parsed));
+
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Normalize the transcription and list the fields a person should double-check.
+// lowConfidence holds field names and "ingredients.N" / "instructions.N" paths
+// that index into the normalized arrays.
+function buildScannedRecipe(parsed) {
+  const lowConfidence = [];
+
+  const collectLines = (lines, field) => {
+    const kept = [];
+    (lines || []).forEach(line => {
+      const text = cleanText(typeof line === 'string' ? line : line && line.text);
+      if (!text) return;
+      if (line && line.confidence && line.confidence !== 'high') {
+        lowConfidence.push(`${field}.${kept.length}`);
+      }
+      kept.push(text);
+    });
+    return kept;
+  };
+
+  const ingredients = collectLines(parsed.ingredients, 'ingredients');
+  const instructions = collectLines(parsed.instructions, 'instructions');
+
+  const toNumber = value => {
+    const num = parseInt(value, 10);
+    return Number.isFinite(num) && num > 0 ? num : null;
+  };
+
+  const normalized = normalizeRecipe({
+    name: parsed.name,
+    description: parsed.description,
+    ingredients,
+    instructions,
+    prepTime: toNumber(parsed.prepTime),
+    cookTime: toNumber(parsed.cookTime),
+    totalTime: toNumber(parsed.totalTime),
+    servings: toNumber(parsed.servings),
+    image: '',
+    cuisine: parsed.cuisine,
+    category: parsed.category,
+    calories: null,
+  }, null);
+
+  const fieldConfidence = parsed.fieldConfidence || {};
+  CONFIDENCE_FIELDS.forEach(field => {
+    const rating = fieldConfidence[field];
+    if (rating && rating !== 'high' && normalized[field] !== null) lowConfidence.unshift(field);
+  });
+  // No name on the card means the placeholder title needs replacing
+  if (!cleanText(parsed.name) && !lowConfidence.includes('name')) lowConfidence.unshift('name');
+
+  return {
+    ...normalized,
+    lowConfidence,
+    notes: cleanText(parsed.notes) || '',
+  };
+}
@@ -0,0 +1,215 @@
+// Shared Anthropic Messages API client for the serverless functions
+// Handles the model id, timeouts, retries with backoff on overloads, and maps every
+// failure to an AnthropicError with a stable code the UI can act on.
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+const DEFAULT_TIMEOUT_MS = 25000;
+const DEFAULT_MAX_RETRIES = 2;
+const MAX_RETRY_DELAY_MS = 8000;
+
+// 429 rate limit, 529 overloaded, and gateway hiccups are worth another try
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+const ERROR_CODES = {
+  NOT_CONFIGURED: 'not_configured',
+  OVERLOADED: 'overloaded',
+  RATE_LIMITED: 'rate_limited',
+  TIMEOUT: 'timeout',
+  INVALID_REQUEST: 'invalid_request',
+  AUTH: 'upstream_auth',
+  UPSTREAM: 'upstream_error',
+  BAD_RESPONSE: 'bad_response',
+};
+
+class AnthropicError extends Error {
+  constructor(code, message, { status = null, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'AnthropicError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+function getModel() {
+  return process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+}
+
+function getTimeoutMs(override) {
+  if (override) return override;
+  const fromEnv = parseInt(process.env.ANTHROPIC_TIMEOUT_MS, 10);
+  return Number.isFinite(fromEnv) && fromEnv > 0 ? fromEnv : DEFAULT_TIMEOUT_MS;
+}
+
+// Map an HTTP error from the API to an AnthropicError
+function errorFromStatus(status, errorData) {
+  const detail = errorData?.error?.message;
+  if (status === 529 || status === 503) {
+    return new AnthropicError(ERROR_CODES.OVERLOADED, 'Nonna is busy right now. Please try again in a moment.', { status, retryable: true });
+  }
+  if (status === 429) {
+    return new AnthropicError(ERROR_CODES.RATE_LIMITED, 'Too many requests to Nonna at once. Please wait a moment.', { status, retryable: true });
+  }
+  if (status === 408 || status === 504) {
+    return new AnthropicError(ERROR_CODES.TIMEOUT, 'Nonna took too long to answer. Please try again.', { status, retryable: true });
+  }
+  if (status === 401 || status === 403) {
+    return new AnthropicError(ERROR_CODES.AUTH, 'The AI service rejected our API key.', { status });
+  }
+  if (status === 400 || status === 413 || status === 422) {
+    return new AnthropicError(ERROR_CODES.INVALID_REQUEST, detail || 'The request could not be processed.', { status });
+  }
+  return new AnthropicError(ERROR_CODES.UPSTREAM, detail || `AI service error: ${status}`, { status, retryable: RETRYABLE_STATUSES.has(status) });
+}
+
+// Exponential backoff with jitter, honoring retry-after when the API sends one
+function retryDelay(attempt, response) {
+  const retryAfter = parseFloat(response?.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const base = 500 * Math.pow(2, attempt);
+  return Math.min(base + Math.random() * 250, MAX_RETRY_DELAY_MS);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// POST to the Messages API, retrying transient failures. Resolves to the ok Response
+// plus two callbacks: stopTimer() ends the timeout, release() ends the timeout and stops
+// following the caller's signal. createMessage covers reading the body with the timeout;
+// streamMessage stops the timer at the headers but keeps following the signal.
+async function postWithRetries(body, { timeoutMs, maxRetries = DEFAULT_MAX_RETRIES, signal } = {}) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    console.error('ANTHROPIC_API_KEY environment variable is not set');
+    throw new AnthropicError(ERROR_CODES.NOT_CONFIGURED, 'API key not configured on server');
+  }
+
+  const timeout = getTimeoutMs(timeoutMs);
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (signal?.aborted) throw signal.reason;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new AnthropicError(ERROR_CODES.TIMEOUT, 'Nonna took too long to answer. Please try again.', { retryable: true })), timeout);
+    const onCallerAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onCallerAbort, { once: true });
+    const stopTimer = () => clearTimeout(timer);
+    const release = () => {
+      stopTimer();
+      signal?.removeEventListener('abort', onCallerAbort);
+    };
+
+    let response;
+    try {
+      response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': API_VERSION,
+        },
+        body: JSON.stringify({ model: getModel(), ...body }),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      release();
+      if (signal?.aborted) throw signal.reason;
+      lastError = controller.signal.reason instanceof AnthropicError
+        ? controller.signal.reason
+        : new AnthropicError(ERROR_CODES.UPSTREAM, 'Could not reach the AI service.', { retryable: true, cause: error });
+    }
+
+    if (response) {
+      if (response.ok) return { response, controller, release, stopTimer };
+
+      release();
+      const errorData = await response.json().catch(() => ({}));
+      console.error('Anthropic API error:', response.status, errorData);
+      lastError = errorFromStatus(response.status, errorData);
+    }
+
+    if (!lastError.retryable || attempt === maxRetries) break;
+    const delay = retryDelay(attempt, response);
+    console.warn(`Anthropic request failed (${lastError.code}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`);
+    await sleep(delay, signal);
+  }
+
+  throw lastError;
+}
+
+// Send a request and resolve to the parsed message. `params` is the Messages API body
+// without `model` (e.g. { system, messages, max_tokens }).
+async function createMessage(params, options = {}) {
+  const { response, controller, release } = await postWithRetries(params, options);
+  try {
+    return await response.json();
+  } catch (error) {
+    if (controller.signal.reason instanceof AnthropicError) throw controller.signal.reason;
+    throw new AnthropicError(ERROR_CODES.BAD_RESPONSE, 'The AI service sent an unreadable response.', { cause: error });
+  } finally {
+    release();
+  }
+}
+
+// Start a streamed request and resolve to { response, release } once headers arrive.
+// The timeout only covers the wait for headers; reading the body has no deadline here,
+// so callers need their own (see relayAnthropicStream in chat.js). Aborting `signal`
+// cancels the stream at any point until release() is called when the stream ends.
+async function streamMessage(params, options = {}) {
+  const { response, release, stopTimer } = await postWithRetries({ ...params, stream: true }, options);
+  stopTimer();
+  return { response, release };
+}
+
+// Concatenate the text blocks of a message
+function getText(message) {
+  return (message?.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+// Pull a JSON array or object out of model text, tolerating ```json fences and
+// surrounding prose. Returns null when nothing parses.
+function extractJson(text, shape = 'object') {
+  if (!text) return null;
+  let jsonStr = text;
+
+  const codeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (codeBlockMatch) {
+    jsonStr = codeBlockMatch[1].trim();
+  }
+
+  const match = shape === 'array' ? jsonStr.match(/\[[\s\S]*\]/) : jsonStr.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    console.error('JSON parse error:', error.message, 'Content:', match[0].slice(0, 500));
+    return null;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  AnthropicError,
+  getModel,
+  createMessage,
+  streamMessage,
+  getText,
+  extractJson,
+};
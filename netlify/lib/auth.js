@@ -0,0 +1,164 @@
+// Firebase ID token verification for the serverless functions
+// Every function requires a signed-in Tavola user. Tokens are verified against Google's
+// published signing keys; tests and local development can swap in a stand-in verifier
+// with setTokenVerifier(), and tokens from the Firebase Auth emulator (unsigned) are
+// accepted only while FIREBASE_AUTH_EMULATOR_HOST is set.
+
+const crypto = require('crypto');
+const { jsonResponse } = require('./http');
+const { checkRateLimit } = require('./rate-limit');
+
+const PUBLIC_KEYS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_PROJECT_ID = 'tavola-58e0e';
+const CLOCK_SKEW_SECONDS = 300;
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+let customVerifier = null;
+let publicKeysCache = { keys: null, expiresAt: 0 };
+
+// Replace token verification, e.g. with a stand-in that maps test tokens to users.
+// The verifier receives the raw token and resolves to { uid, email?, name? } or throws.
+// Pass null to restore Firebase verification.
+function setTokenVerifier(verifier) {
+  customVerifier = verifier;
+}
+
+function getProjectId() {
+  return process.env.FIREBASE_PROJECT_ID || DEFAULT_PROJECT_ID;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Google's signing certificates, cached for as long as their Cache-Control allows
+async function getPublicKeys() {
+  if (publicKeysCache.keys && Date.now() < publicKeysCache.expiresAt) {
+    return publicKeysCache.keys;
+  }
+
+  const response = await fetch(PUBLIC_KEYS_URL, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`Could not fetch token signing keys: ${response.status}`);
+  }
+
+  const keys = await response.json();
+  const maxAge = parseInt((response.headers.get('cache-control') || '').match(/max-age=(\d+)/)?.[1], 10);
+  publicKeysCache = { keys, expiresAt: Date.now() + (Number.isFinite(maxAge) ? maxAge * 1000 : 3600 * 1000) };
+  return keys;
+}
+
+// Verify a Firebase Auth ID token and return the user it belongs to
+async function verifyFirebaseToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new AuthError('auth_invalid', 'Malformed sign-in token.');
+
+  let header, payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (e) {
+    throw new AuthError('auth_invalid', 'Malformed sign-in token.');
+  }
+
+  const usingEmulator = !!process.env.FIREBASE_AUTH_EMULATOR_HOST;
+  if (!usingEmulator) {
+    if (header.alg !== 'RS256' || !header.kid) {
+      throw new AuthError('auth_invalid', 'Unsupported sign-in token.');
+    }
+    const keys = await getPublicKeys();
+    const cert = keys[header.kid];
+    if (!cert) throw new AuthError('auth_invalid', 'Sign-in token was signed with an unknown key.');
+
+    const valid = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      cert,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) throw new AuthError('auth_invalid', 'Sign-in token signature is invalid.');
+  }
+
+  const projectId = getProjectId();
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.aud !== projectId || payload.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new AuthError('auth_invalid', 'Sign-in token is for a different app.');
+  }
+  if (typeof payload.sub !== 'string' || !payload.sub || payload.sub.length > 128) {
+    throw new AuthError('auth_invalid', 'Sign-in token has no user.');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= now) {
+    throw new AuthError('auth_expired', 'Your sign-in has expired. Please sign in again.');
+  }
+  if (typeof payload.iat !== 'number' || payload.iat > now + CLOCK_SKEW_SECONDS) {
+    throw new AuthError('auth_invalid', 'Sign-in token was issued in the future.');
+  }
+
+  return { uid: payload.sub, email: payload.email || null, name: payload.name || null };
+}
+
+function getBearerToken(event) {
+  const headers = event.headers || {};
+  const value = headers.authorization || headers.Authorization || '';
+  const match = value.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Resolve the signed-in user for a request, or throw an AuthError
+async function requireUser(event) {
+  const token = getBearerToken(event);
+  if (!token) throw new AuthError('auth_required', 'Please sign in to use Nonna.');
+
+  try {
+    const user = customVerifier ? await customVerifier(token) : await verifyFirebaseToken(token);
+    if (!user || !user.uid) throw new AuthError('auth_invalid', 'Sign-in token has no user.');
+    return user;
+  } catch (error) {
+    if (error instanceof AuthError) throw error;
+    console.error('Token verification failed:', error);
+    throw new AuthError('auth_invalid', 'Could not verify your sign-in. Please sign in again.');
+  }
+}
+
+// Authenticate the caller and charge the request against their quota for `scope`:
+// one unit, or `cost` units for requests that do several model calls.
+// Resolves to { user } when the request may proceed, or { response } with a 401/429
+// to return as-is.
+async function guardRequest(event, scope, { cost = 1 } = {}) {
+  let user;
+  try {
+    user = await requireUser(event);
+  } catch (error) {
+    return { response: jsonResponse(401, { error: error.message, code: error.code || 'auth_invalid' }) };
+  }
+
+  const limit = await checkRateLimit(user.uid, scope, event, cost);
+  if (!limit.allowed) {
+    return {
+      response: jsonResponse(429, {
+        error: limit.message,
+        code: 'quota_exceeded',
+        window: limit.window,
+        limit: limit.limit,
+        retryAfter: limit.retryAfter,
+      }, { 'Retry-After': String(limit.retryAfter) }),
+    };
+  }
+
+  return { user };
+}
+
+module.exports = {
+  AuthError,
+  setTokenVerifier,
+  verifyFirebaseToken,
+  requireUser,
+  guardRequest,
+};
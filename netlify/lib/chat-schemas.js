@@ -0,0 +1,225 @@
+// Structured reply schemas for Nonna's chat
+// Recipes, weekly meal plans and shopping lists are returned through tool calls so the
+// client fills cards from real fields instead of scraping markdown. Every tool input is
+// checked against its schema here before it is sent to the browser.
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const SHOPPING_CATEGORIES = ['Produce', 'Proteins', 'Dairy', 'Grains', 'Canned Goods', 'Spices', 'Condiments', 'Frozen', 'Pantry', 'Other'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const mealSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    calories: { type: 'integer', minimum: 0 },
+  },
+  required: ['title'],
+};
+
+const RECIPE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, description: 'Simple, clean recipe name with no version or status suffixes' },
+    servings: { type: 'integer', minimum: 1 },
+    prepMinutes: { type: 'integer', minimum: 0 },
+    cookMinutes: { type: 'integer', minimum: 0 },
+    difficulty: { type: 'string', enum: ['Easy', 'Medium', 'Hard'] },
+    tags: {
+      type: 'object',
+      properties: {
+        health: { ...stringList, description: 'e.g. Anti-Inflammatory, Heart-Healthy, Crohn\'s-Friendly, Low-Sodium' },
+        dietary: { ...stringList, description: 'e.g. Dairy-Free, Gluten-Free, Vegetarian' },
+        cuisine: { ...stringList, description: 'e.g. Mediterranean, Italian, Quick' },
+      },
+      required: ['health', 'dietary', 'cuisine'],
+    },
+    nutrition: {
+      type: 'object',
+      description: 'Per serving',
+      properties: {
+        calories: { type: 'number', minimum: 0 },
+        protein: { type: 'number', minimum: 0, description: 'grams' },
+        carbs: { type: 'number', minimum: 0, description: 'grams' },
+        fat: { type: 'number', minimum: 0, description: 'grams' },
+        fiber: { type: 'number', minimum: 0, description: 'grams' },
+        sodium: { type: 'number', minimum: 0, description: 'milligrams' },
+      },
+      required: ['calories', 'protein', 'carbs', 'fat'],
+    },
+    ingredients: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          amount: { type: 'string', description: 'Quantity and unit, e.g. "2 tbsp", "1 lb", "to taste"' },
+          name: { type: 'string', minLength: 1, description: 'Ingredient with any preparation, e.g. "garlic, minced"' },
+        },
+        required: ['amount', 'name'],
+      },
+    },
+    phases: {
+      type: 'array',
+      minItems: 1,
+      description: 'Steps grouped into phases such as Prep, Cook, Plate, The Sauce',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          steps: { ...stringList, minItems: 1 },
+        },
+        required: ['name', 'steps'],
+      },
+    },
+    whyThisHelps: { type: 'string', description: 'How the recipe supports the user\'s health conditions' },
+    modifications: { ...stringList, description: 'Flare-day, lower sodium, lower carb versions' },
+    gardenNotes: stringList,
+    storage: { type: 'string' },
+  },
+  required: ['name', 'servings', 'prepMinutes', 'cookMinutes', 'difficulty', 'tags', 'ingredients', 'phases'],
+};
+
+const WEEK_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 7,
+      items: {
+        type: 'object',
+        properties: {
+          day: { type: 'string', enum: DAYS },
+          breakfast: mealSchema,
+          lunch: mealSchema,
+          dinner: mealSchema,
+          snacks: mealSchema,
+        },
+        required: ['day'],
+      },
+    },
+    averageDailyCalories: { type: 'integer', minimum: 0 },
+    prepTasks: { ...stringList, description: 'Batch cooking and prep-day tasks' },
+  },
+  required: ['days'],
+};
+
+const SHOPPING_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          amount: { type: 'string' },
+          category: { type: 'string', enum: SHOPPING_CATEGORIES },
+        },
+        required: ['name', 'category'],
+      },
+    },
+    estimatedTotalLow: { type: 'number', minimum: 0 },
+    estimatedTotalHigh: { type: 'number', minimum: 0 },
+  },
+  required: ['items'],
+};
+
+// Tool name -> the kind of structured object the client receives
+const STRUCTURED_TOOLS = {
+  present_recipe: {
+    kind: 'recipe',
+    description: 'Show the user one complete recipe as a recipe card. Call once per recipe.',
+    schema: RECIPE_SCHEMA,
+  },
+  present_week_plan: {
+    kind: 'weekPlan',
+    description: 'Show the user a weekly meal plan they can add to their week planner.',
+    schema: WEEK_PLAN_SCHEMA,
+  },
+  present_shopping_list: {
+    kind: 'shoppingList',
+    description: 'Show the user a shopping list they can add to their lists.',
+    schema: SHOPPING_LIST_SCHEMA,
+  },
+};
+
+// Tool definitions in the shape the Anthropic Messages API expects
+function getStructuredToolDefinitions() {
+  return Object.entries(STRUCTURED_TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    input_schema: tool.schema,
+  }));
+}
+
+// Minimal JSON Schema check covering the keywords used above.
+// Returns a list of human-readable problems; empty means valid.
+function validateAgainstSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${path} should be an object`];
+    }
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateAgainstSchema(propSchema, value[key], `${path}.${key}`));
+      }
+    });
+    return errors;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return [`${path} should be an array`];
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(schema.items, item, `${path}[${i}]`)));
+    }
+    return errors;
+  }
+
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') return [`${path} should be a string`];
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} should not be empty`);
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path} should be a number`];
+    if (schema.type === 'integer' && !Number.isInteger(value)) errors.push(`${path} should be a whole number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+  } else if (schema.type === 'boolean' && typeof value !== 'boolean') {
+    return [`${path} should be true or false`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Validate a completed tool call. Returns { kind, data } or { kind, errors }.
+function validateStructuredToolCall(toolName, input) {
+  const tool = STRUCTURED_TOOLS[toolName];
+  if (!tool) return { kind: null, errors: [`Unknown tool: ${toolName}`] };
+
+  const errors = validateAgainstSchema(tool.schema, input);
+  if (errors.length > 0) return { kind: tool.kind, errors };
+  return { kind: tool.kind, data: input };
+}
+
+module.exports = {
+  DAYS,
+  SHOPPING_CATEGORIES,
+  RECIPE_SCHEMA,
+  WEEK_PLAN_SCHEMA,
+  SHOPPING_LIST_SCHEMA,
+  getStructuredToolDefinitions,
+  validateAgainstSchema,
+  validateStructuredToolCall,
+};
@@ -0,0 +1,38 @@
+// Firestore access for the serverless functions (Admin SDK, bypasses security rules)
+// Credentials come from FIREBASE_SERVICE_ACCOUNT (the service account JSON, as one line).
+// With FIRESTORE_EMULATOR_HOST set, the Admin SDK talks to the local emulator instead and
+// needs no credentials. Tests can swap in their own Firestore with setFirestore().
+
+const { initializeApp, getApps, cert } = require('firebase-admin/app');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+
+const DEFAULT_PROJECT_ID = 'tavola-58e0e';
+
+let customDb = null;
+
+function setFirestore(db) {
+  customDb = db;
+}
+
+function getDb() {
+  if (customDb) return customDb;
+
+  if (!getApps().length) {
+    const projectId = process.env.FIREBASE_PROJECT_ID || DEFAULT_PROJECT_ID;
+    if (process.env.FIRESTORE_EMULATOR_HOST) {
+      initializeApp({ projectId });
+    } else {
+      const raw = process.env.FIREBASE_SERVICE_ACCOUNT;
+      if (!raw) throw new Error('FIREBASE_SERVICE_ACCOUNT is not configured');
+      initializeApp({ credential: cert(JSON.parse(raw)), projectId });
+    }
+  }
+  return getFirestore();
+}
+
+module.exports = {
+  FieldValue,
+  Timestamp,
+  setFirestore,
+  getDb,
+};
@@ -0,0 +1,291 @@
+// Households: who shares recipes, plans and lists with whom
+// households/{id} = { name, ownerId, memberIds, roles: { uid: role }, profiles: { uid: { name, email } } }
+// Membership only changes here, on the server: security rules keep clients from adding
+// themselves (see firestore.rules). Invites are single-use and expire. Only a hash of the
+// invite secret is stored, at households/{id}/invites/{hash}; the link carries
+// "{householdId}.{secret}".
+
+const crypto = require('crypto');
+const { FieldValue, Timestamp } = require('./firestore');
+
+const ROLES = ['owner', 'member', 'viewer'];
+const INVITE_ROLES = ['member', 'viewer'];
+const INVITE_TTL_DAYS = 7;
+// Shared content a single-person household brings along when its owner joins another:
+// each collection with the sub-collections its documents have (recipes keep their ratings)
+const HOUSEHOLD_CONTENT = {
+  recipes: ['ratings'],
+  mealPlans: [],
+  shopping: [],
+};
+// Firestore commits at most 500 writes at once; moving a document takes two
+const MAX_BATCH_WRITES = 500;
+
+const HOUSEHOLD_STATUS_BY_CODE = {
+  invalid_request: 400,
+  forbidden: 403,
+  invite_wrong_email: 403,
+  not_found: 404,
+  invite_invalid: 404,
+  already_member: 409,
+  already_in_household: 409,
+  owner_cannot_leave: 409,
+  invite_expired: 410,
+  invite_used: 410,
+};
+
+class HouseholdError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'HouseholdError';
+    this.code = code;
+    this.status = HOUSEHOLD_STATUS_BY_CODE[code] || 400;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function memberProfile(user) {
+  return { name: user.name || (user.email ? user.email.split('@')[0] : 'Family Member'), email: user.email || null };
+}
+
+async function getHouseholdFor(db, user, householdId, { ownerOnly = false } = {}) {
+  if (typeof householdId !== 'string' || !householdId || householdId.includes('/')) {
+    throw new HouseholdError('invalid_request', 'A household is required.');
+  }
+  const ref = db.collection('households').doc(householdId);
+  const snap = await ref.get();
+  if (!snap.exists || !(snap.data().memberIds || []).includes(user.uid)) {
+    throw new HouseholdError('not_found', 'That household was not found.');
+  }
+  if (ownerOnly && snap.data().ownerId !== user.uid) {
+    throw new HouseholdError('forbidden', 'Only the household owner can do that.');
+  }
+  return { ref, data: snap.data() };
+}
+
+// Owner only. Resolves to { token, expiresAt } for the invite link.
+async function createInvite(db, user, { householdId, email, role = 'member' }) {
+  const { ref } = await getHouseholdFor(db, user, householdId, { ownerOnly: true });
+  if (!INVITE_ROLES.includes(role)) {
+    throw new HouseholdError('invalid_request', `Invites can be for: ${INVITE_ROLES.join(', ')}.`);
+  }
+  const cleanEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (cleanEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) {
+    throw new HouseholdError('invalid_request', 'That email address does not look right.');
+  }
+
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = Timestamp.fromMillis(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await ref.collection('invites').doc(hashSecret(secret)).set({
+    email: cleanEmail || null,
+    role,
+    createdBy: user.uid,
+    createdAt: FieldValue.serverTimestamp(),
+    expiresAt,
+    usedBy: null,
+    usedAt: null,
+  });
+  return { token: `${householdId}.${secret}`, expiresAt: expiresAt.toDate().toISOString() };
+}
+
+// Owner only: invites that can still be redeemed
+async function listInvites(db, user, { householdId }) {
+  const { ref } = await getHouseholdFor(db, user, householdId, { ownerOnly: true });
+  const snap = await ref.collection('invites').where('usedBy', '==', null).get();
+  const now = Date.now();
+  return snap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(invite => invite.expiresAt.toMillis() > now)
+    .map(invite => ({
+      id: invite.id,
+      email: invite.email,
+      role: invite.role,
+      expiresAt: invite.expiresAt.toDate().toISOString(),
+    }));
+}
+
+async function revokeInvite(db, user, { householdId, inviteId }) {
+  const { ref } = await getHouseholdFor(db, user, householdId, { ownerOnly: true });
+  if (typeof inviteId !== 'string' || !/^[0-9a-f]{64}$/.test(inviteId)) {
+    throw new HouseholdError('invalid_request', 'An invite is required.');
+  }
+  await ref.collection('invites').doc(inviteId).delete();
+  return { revoked: inviteId };
+}
+
+// Every document under a household's shared content, as { from, to, data } moves
+async function listContentMoves(fromRef, toRef) {
+  const moves = [];
+  for (const [name, subcollections] of Object.entries(HOUSEHOLD_CONTENT)) {
+    const content = await fromRef.collection(name).get();
+    for (const item of content.docs) {
+      const to = toRef.collection(name).doc(item.id);
+      moves.push({ from: item.ref, to, data: item.data() });
+      for (const sub of subcollections) {
+        const nested = await item.ref.collection(sub).get();
+        nested.docs.forEach(doc => moves.push({ from: doc.ref, to: to.collection(sub).doc(doc.id), data: doc.data() }));
+      }
+    }
+  }
+  return moves;
+}
+
+// Copies then deletes, a batch at a time. If a batch fails, it and the ones after it
+// stay in the old household: resolves to { moved, leftBehind } counts of documents.
+async function moveContent(db, moves) {
+  const perBatch = MAX_BATCH_WRITES / 2;
+  let moved = 0;
+  try {
+    for (; moved < moves.length; moved += perBatch) {
+      const batch = db.batch();
+      moves.slice(moved, moved + perBatch).forEach(({ from, to, data }) => {
+        batch.set(to, data);
+        batch.delete(from);
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Moving household content failed:', error);
+    return { moved, leftBehind: moves.length - moved };
+  }
+  return { moved: moves.length, leftBehind: 0 };
+}
+
+// Join the household an invite is for. Someone alone in a household of their own
+// brings its shared content along and that household is removed; someone who already
+// shares a household with others has to leave it first.
+// Joining is one transaction. The content follows in batches, since a household can hold
+// more than a transaction can write, and the old household (with anything left under it,
+// such as its invites) is only deleted once everything moved. If moving stops part way,
+// the old household stays theirs and leftBehind counts what is still in it.
+async function redeemInvite(db, user, { token }) {
+  const match = typeof token === 'string' && token.match(/^([A-Za-z0-9_-]{1,128})\.([A-Za-z0-9_-]{16,})$/);
+  if (!match) throw new HouseholdError('invite_invalid', 'That invite link is not valid.');
+  const [, householdId, secret] = match;
+
+  const householdRef = db.collection('households').doc(householdId);
+  const inviteRef = householdRef.collection('invites').doc(hashSecret(secret));
+  const currentQuery = db.collection('households').where('memberIds', 'array-contains', user.uid);
+
+  const joined = await db.runTransaction(async transaction => {
+    const [inviteSnap, householdSnap, currentSnap] = await Promise.all([
+      transaction.get(inviteRef),
+      transaction.get(householdRef),
+      transaction.get(currentQuery),
+    ]);
+
+    if (!inviteSnap.exists || !householdSnap.exists) {
+      throw new HouseholdError('invite_invalid', 'That invite link is not valid.');
+    }
+    const invite = inviteSnap.data();
+    const household = householdSnap.data();
+    if (invite.usedBy) {
+      throw new HouseholdError('invite_used', 'This invite has already been used. Ask for a new one.');
+    }
+    if (invite.expiresAt.toMillis() <= Date.now()) {
+      throw new HouseholdError('invite_expired', 'This invite has expired. Ask for a new one.');
+    }
+    if (invite.email && (user.email || '').toLowerCase() !== invite.email) {
+      throw new HouseholdError('invite_wrong_email', `This invite was sent to ${invite.email}. Sign in with that account to accept it.`);
+    }
+    if ((household.memberIds || []).includes(user.uid)) {
+      throw new HouseholdError('already_member', `You're already in ${household.name}.`);
+    }
+
+    const others = currentSnap.docs.filter(doc => doc.id !== householdId);
+    const shared = others.find(doc => (doc.data().memberIds || []).length > 1);
+    if (shared) {
+      throw new HouseholdError('already_in_household', `Leave ${shared.data().name} before joining another household.`);
+    }
+
+    transaction.update(householdRef, {
+      memberIds: FieldValue.arrayUnion(user.uid),
+      [`roles.${user.uid}`]: invite.role,
+      [`profiles.${user.uid}`]: memberProfile(user),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(inviteRef, { usedBy: user.uid, usedAt: FieldValue.serverTimestamp() });
+
+    return { name: household.name, role: invite.role, previous: others.map(doc => doc.ref) };
+  });
+
+  let moved = 0;
+  let leftBehind = 0;
+  for (const ref of joined.previous) {
+    const result = await moveContent(db, await listContentMoves(ref, householdRef));
+    moved += result.moved;
+    leftBehind += result.leftBehind;
+    if (!result.leftBehind) await db.recursiveDelete(ref);
+  }
+
+  return { householdId, name: joined.name, role: joined.role, moved, leftBehind };
+}
+
+function removeFromHousehold(ref, uid) {
+  return ref.update({
+    memberIds: FieldValue.arrayRemove(uid),
+    [`roles.${uid}`]: FieldValue.delete(),
+    [`profiles.${uid}`]: FieldValue.delete(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+}
+
+// Owner only; the owner can't remove themselves (see leaveHousehold)
+async function removeMember(db, user, { householdId, memberId }) {
+  const { ref, data } = await getHouseholdFor(db, user, householdId, { ownerOnly: true });
+  if (!memberId || !(data.memberIds || []).includes(memberId)) {
+    throw new HouseholdError('not_found', 'That person is not in this household.');
+  }
+  if (memberId === user.uid) {
+    throw new HouseholdError('invalid_request', 'You cannot remove yourself. Leave the household instead.');
+  }
+  await removeFromHousehold(ref, memberId);
+  return { removed: memberId };
+}
+
+async function leaveHousehold(db, user, { householdId }) {
+  const { ref, data } = await getHouseholdFor(db, user, householdId);
+  if (data.ownerId === user.uid) {
+    throw new HouseholdError('owner_cannot_leave', (data.memberIds || []).length > 1
+      ? 'Make someone else the owner before you leave.'
+      : 'You are the only one in this household.');
+  }
+  await removeFromHousehold(ref, user.uid);
+  return { left: householdId };
+}
+
+// Owner only. Making someone else the owner hands the household over and the
+// current owner becomes a member.
+async function setMemberRole(db, user, { householdId, memberId, role }) {
+  const { ref, data } = await getHouseholdFor(db, user, householdId, { ownerOnly: true });
+  if (!ROLES.includes(role)) {
+    throw new HouseholdError('invalid_request', `Role must be one of: ${ROLES.join(', ')}.`);
+  }
+  if (!memberId || memberId === user.uid || !(data.memberIds || []).includes(memberId)) {
+    throw new HouseholdError('not_found', 'That person is not in this household.');
+  }
+
+  const update = { [`roles.${memberId}`]: role, updatedAt: FieldValue.serverTimestamp() };
+  if (role === 'owner') {
+    update.ownerId = memberId;
+    update[`roles.${user.uid}`] = 'member';
+  }
+  await ref.update(update);
+  return { memberId, role };
+}
+
+module.exports = {
+  ROLES,
+  INVITE_TTL_DAYS,
+  HouseholdError,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  redeemInvite,
+  removeMember,
+  leaveHousehold,
+  setMemberRole,
+};
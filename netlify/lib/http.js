@@ -0,0 +1,63 @@
+// Shared response helpers for the serverless functions
+
+const { AnthropicError, ERROR_CODES } = require('./anthropic');
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+// HTTP status the browser sees for each AnthropicError code
+const STATUS_BY_CODE = {
+  [ERROR_CODES.NOT_CONFIGURED]: 500,
+  [ERROR_CODES.OVERLOADED]: 503,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.TIMEOUT]: 504,
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.AUTH]: 502,
+  [ERROR_CODES.UPSTREAM]: 502,
+  [ERROR_CODES.BAD_RESPONSE]: 502,
+};
+
+function jsonResponse(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...CORS_HEADERS,
+      ...extraHeaders,
+    },
+    body: JSON.stringify(body),
+  };
+}
+
+function preflightResponse() {
+  return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+}
+
+function methodNotAllowed() {
+  return jsonResponse(405, { error: 'Method not allowed', code: 'method_not_allowed' });
+}
+
+// Turn any thrown error into a JSON response with a stable `code`.
+// AnthropicErrors keep their code and friendly message; anything else is a 500.
+function errorResponse(error, fallbackMessage = 'Internal server error') {
+  if (error instanceof AnthropicError) {
+    return jsonResponse(STATUS_BY_CODE[error.code] || 502, {
+      error: error.message,
+      code: error.code,
+      retryable: error.retryable,
+    });
+  }
+  console.error('Function error:', error);
+  return jsonResponse(500, { error: error.message || fallbackMessage, code: 'internal_error' });
+}
+
+module.exports = {
+  CORS_HEADERS,
+  jsonResponse,
+  preflightResponse,
+  methodNotAllowed,
+  errorResponse,
+};
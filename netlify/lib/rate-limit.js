@@ -0,0 +1,132 @@
+// Per-user request quotas for the serverless functions
+// Fixed minute and day windows per user and scope. Counts live in a Netlify Blobs store
+// so they hold across function instances; outside Netlify (local runs, tests) they fall
+// back to memory. Tests can inject their own store with setRateLimitStore().
+
+const { connectLambda, getStore } = require('@netlify/blobs');
+
+// Defaults per scope; override with e.g. RATE_LIMIT_CHAT_PER_MINUTE / RATE_LIMIT_CHAT_PER_DAY
+const QUOTAS = {
+  chat: { perMinute: 10, perDay: 200, label: 'messages to Nonna' },
+  vision: { perMinute: 4, perDay: 60, label: 'photo scans' },
+  import: { perMinute: 10, perDay: 150, label: 'recipe imports' },
+  bulk: { perMinute: 20, perDay: 100, label: 'bulk import batches' },
+  household: { perMinute: 10, perDay: 100, label: 'household changes' },
+};
+
+let customStore = null;
+let memoryStore = null;
+
+function setRateLimitStore(store) {
+  customStore = store;
+}
+
+function createMemoryStore() {
+  const data = new Map();
+  return {
+    async get(key) { return data.get(key) || null; },
+    async set(key, value) { data.set(key, value); },
+  };
+}
+
+function getQuota(scope) {
+  const base = QUOTAS[scope] || QUOTAS.chat;
+  const envPrefix = `RATE_LIMIT_${scope.toUpperCase()}`;
+  const perMinute = parseInt(process.env[`${envPrefix}_PER_MINUTE`], 10);
+  const perDay = parseInt(process.env[`${envPrefix}_PER_DAY`], 10);
+  return {
+    ...base,
+    perMinute: Number.isFinite(perMinute) ? perMinute : base.perMinute,
+    perDay: Number.isFinite(perDay) ? perDay : base.perDay,
+  };
+}
+
+function getCounterStore(event) {
+  if (customStore) return customStore;
+  try {
+    if (event) connectLambda(event);
+    const store = getStore({ name: 'rate-limits', consistency: 'strong' });
+    return {
+      async get(key) { return store.get(key, { type: 'json' }); },
+      async set(key, value) { await store.setJSON(key, value); },
+    };
+  } catch (error) {
+    // No Blobs environment (local run): counts only last for this instance
+    if (!memoryStore) memoryStore = createMemoryStore();
+    return memoryStore;
+  }
+}
+
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} seconds`;
+  if (seconds < 5400) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.ceil(seconds / 3600)} hours`;
+}
+
+// Count `cost` requests (e.g. one per photo) for uid in scope. A request is allowed only
+// when both windows have room for all of its cost; one that doesn't fit waits whole.
+// Resolves to { allowed: true, remaining } or { allowed: false, window, limit, retryAfter, message }.
+async function checkRateLimit(uid, scope, event, cost = 1) {
+  const quota = getQuota(scope);
+  const store = getCounterStore(event);
+  const key = `${scope}/${uid}`;
+  const now = Date.now();
+  const minuteWindow = Math.floor(now / 60000);
+  const dayWindow = new Date(now).toISOString().slice(0, 10);
+
+  let counters = null;
+  try {
+    counters = await store.get(key);
+  } catch (error) {
+    // Never lock users out because the counter store is unavailable
+    console.error('Rate limit store read failed:', error);
+    return { allowed: true, remaining: null };
+  }
+
+  const minute = counters?.minute?.window === minuteWindow ? counters.minute.count : 0;
+  const day = counters?.day?.window === dayWindow ? counters.day.count : 0;
+
+  if (day + cost > quota.perDay) {
+    const tomorrow = Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), new Date(now).getUTCDate() + 1);
+    const retryAfter = Math.ceil((tomorrow - now) / 1000);
+    return {
+      allowed: false,
+      window: 'day',
+      limit: quota.perDay,
+      retryAfter,
+      message: day >= quota.perDay
+        ? `You've used today's ${quota.perDay} ${quota.label}. Try again in ${formatWait(retryAfter)}.`
+        : `That would be more than today's ${quota.perDay} ${quota.label}. Try again in ${formatWait(retryAfter)}.`,
+    };
+  }
+  if (minute + cost > quota.perMinute) {
+    const retryAfter = Math.max(1, Math.ceil(((minuteWindow + 1) * 60000 - now) / 1000));
+    return {
+      allowed: false,
+      window: 'minute',
+      limit: quota.perMinute,
+      retryAfter,
+      message: `That's more than ${quota.perMinute} ${quota.label} in a minute - slow down a little, cara. Try again in ${formatWait(retryAfter)}.`,
+    };
+  }
+
+  try {
+    await store.set(key, {
+      minute: { window: minuteWindow, count: minute + cost },
+      day: { window: dayWindow, count: day + cost },
+    });
+  } catch (error) {
+    console.error('Rate limit store write failed:', error);
+  }
+
+  return {
+    allowed: true,
+    remaining: { minute: quota.perMinute - minute - cost, day: quota.perDay - day - cost },
+  };
+}
+
+module.exports = {
+  QUOTAS,
+  setRateLimitStore,
+  checkRateLimit,
+};
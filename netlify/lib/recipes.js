@@ -0,0 +1,212 @@
+// Recipe parsing and normalization shared by the import functions
+// Every importer (web page, photo) hands the browser the same normalized shape.
+
+const { parseIngredientLine } = require('../../shared/ingredients');
+
+// Find the Recipe in parsed JSON-LD: a single object, an array, or an @graph wrapper
+function findSchemaRecipe(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const found = findSchemaRecipe(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  const type = data['@type'];
+  if (type === 'Recipe' || (Array.isArray(type) && type.includes('Recipe'))) return data;
+  if (data['@graph']) return findSchemaRecipe(data['@graph']);
+  return null;
+}
+
+// Extract recipe from JSON-LD structured data
+function extractJsonLd($) {
+  const scripts = $('script[type="application/ld+json"]');
+  for (let i = 0; i < scripts.length; i++) {
+    try {
+      const found = findSchemaRecipe(JSON.parse($(scripts[i]).html()));
+      if (found) return parseSchemaRecipe(found);
+    } catch (e) {
+      // Skip invalid JSON-LD blocks
+    }
+  }
+  return null;
+}
+
+// Parse a Schema.org Recipe object
+function parseSchemaRecipe(data) {
+  const recipe = {
+    name: data.name || '',
+    description: data.description || '',
+    ingredients: [],
+    instructions: [],
+    prepTime: parseDuration(data.prepTime),
+    cookTime: parseDuration(data.cookTime),
+    totalTime: parseDuration(data.totalTime),
+    servings: parseServings(data.recipeYield),
+    image: parseImage(data.image),
+    cuisine: Array.isArray(data.recipeCuisine) ? data.recipeCuisine.join(', ') : (data.recipeCuisine || ''),
+    category: Array.isArray(data.recipeCategory) ? data.recipeCategory[0] : (data.recipeCategory || ''),
+    calories: parseCalories(data.nutrition),
+  };
+
+  // Parse ingredients
+  if (Array.isArray(data.recipeIngredient)) {
+    recipe.ingredients = data.recipeIngredient.map(i => cleanText(i));
+  }
+
+  // Parse instructions, keeping each HowToSection as a named phase
+  if (Array.isArray(data.recipeInstructions)) {
+    const phases = [];
+    let current = null;
+    const addStep = (phaseName, step) => {
+      const text = cleanText(typeof step === 'string' ? step : step.text || step.name || '');
+      if (!text) return;
+      if (!current || current.phase !== phaseName) {
+        current = { phase: phaseName, steps: [] };
+        phases.push(current);
+      }
+      current.steps.push(text);
+    };
+
+    data.recipeInstructions.forEach(step => {
+      if (step && step['@type'] === 'HowToSection' && Array.isArray(step.itemListElement)) {
+        const name = cleanText(step.name) || 'Steps';
+        step.itemListElement.forEach(s => addStep(name, s));
+      } else if (step) {
+        addStep('Steps', step);
+      }
+    });
+
+    recipe.instructions = phases.flatMap(p => p.steps);
+    if (phases.some(p => p.phase !== 'Steps')) recipe.instructionPhases = phases;
+  } else if (typeof data.recipeInstructions === 'string') {
+    recipe.instructions = data.recipeInstructions.split(/\n+/).map(s => cleanText(s)).filter(Boolean);
+  }
+
+  return recipe;
+}
+
+// Extract recipe from microdata attributes
+function extractMicrodata($) {
+  const recipeEl = $('[itemtype*="schema.org/Recipe"]');
+  if (!recipeEl.length) return null;
+
+  return {
+    name: recipeEl.find('[itemprop="name"]').first().text().trim() || '',
+    description: recipeEl.find('[itemprop="description"]').first().text().trim() || '',
+    ingredients: recipeEl.find('[itemprop="recipeIngredient"], [itemprop="ingredients"]').map((_, el) => $(el).text().trim()).get(),
+    instructions: recipeEl.find('[itemprop="recipeInstructions"] [itemprop="text"], [itemprop="step"] [itemprop="text"]').map((_, el) => $(el).text().trim()).get(),
+    prepTime: parseDuration(recipeEl.find('[itemprop="prepTime"]').attr('content') || recipeEl.find('[itemprop="prepTime"]').text()),
+    cookTime: parseDuration(recipeEl.find('[itemprop="cookTime"]').attr('content') || recipeEl.find('[itemprop="cookTime"]').text()),
+    totalTime: parseDuration(recipeEl.find('[itemprop="totalTime"]').attr('content') || recipeEl.find('[itemprop="totalTime"]').text()),
+    servings: parseServings(recipeEl.find('[itemprop="recipeYield"]').text()),
+    image: recipeEl.find('[itemprop="image"]').attr('src') || recipeEl.find('[itemprop="image"]').attr('content') || '',
+    cuisine: recipeEl.find('[itemprop="recipeCuisine"]').text().trim(),
+    category: recipeEl.find('[itemprop="recipeCategory"]').text().trim(),
+    calories: null,
+  };
+}
+
+// Keep only well-formed phases; steps are cleaned like the flat instructions
+function normalizePhases(phases) {
+  if (!Array.isArray(phases)) return [];
+  return phases
+    .map(p => ({
+      phase: cleanText(p && p.phase) || 'Steps',
+      steps: (p && Array.isArray(p.steps) ? p.steps : []).map(s => cleanText(s)).filter(Boolean),
+    }))
+    .filter(p => p.steps.length > 0);
+}
+
+// Normalize and clean recipe data.
+// ingredientDetails parallels ingredients with { quantity, quantityMax, unit, size, name,
+// notes, toTaste } (see shared/ingredients.js); instructionPhases holds named sections when the source
+// had them ([] otherwise), with instructions as the same steps flattened.
+function normalizeRecipe(recipe, sourceUrl) {
+  const ingredients = (recipe.ingredients || []).map(i => cleanText(i)).filter(Boolean);
+  return {
+    name: cleanText(recipe.name) || 'Imported Recipe',
+    description: cleanText(recipe.description) || '',
+    ingredients,
+    ingredientDetails: ingredients.map(parseIngredientLine),
+    instructions: (recipe.instructions || []).map(i => cleanText(i)).filter(Boolean),
+    instructionPhases: normalizePhases(recipe.instructionPhases),
+    prepTime: recipe.prepTime || null,
+    cookTime: recipe.cookTime || null,
+    totalTime: recipe.totalTime || (recipe.prepTime && recipe.cookTime ? recipe.prepTime + recipe.cookTime : null),
+    servings: recipe.servings || null,
+    image: recipe.image || '',
+    cuisine: cleanText(recipe.cuisine) || '',
+    category: cleanText(recipe.category) || '',
+    calories: recipe.calories || null,
+    sourceUrl: sourceUrl,
+    importedAt: new Date().toISOString(),
+  };
+}
+
+// Helper: Parse ISO 8601 duration to minutes
+function parseDuration(duration) {
+  if (!duration) return null;
+  if (typeof duration === 'number') return duration;
+  const str = String(duration);
+  const match = str.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/i);
+  if (match && match[0].length > 2) {
+    return (parseInt(match[1] || 0) * 60) + parseInt(match[2] || 0) + Math.ceil(parseInt(match[3] || 0) / 60);
+  }
+  // Human durations from exports: "1 hr 30 mins", "1h30", "2 hours"
+  const hours = str.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/i) || str.match(/(\d+)\s*h(?=\d)/i);
+  const minutes = str.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/i) || str.match(/h\s*(\d+)\s*$/i);
+  if (hours || minutes) {
+    return Math.round(parseFloat(hours ? hours[1] : 0) * 60) + parseInt(minutes ? minutes[1] : 0);
+  }
+  // Try plain number
+  const num = parseInt(str);
+  return isNaN(num) ? null : num;
+}
+
+// Helper: Parse servings
+function parseServings(yield_val) {
+  if (!yield_val) return null;
+  if (typeof yield_val === 'number') return yield_val;
+  const str = Array.isArray(yield_val) ? yield_val[0] : String(yield_val);
+  const match = str.match(/(\d+)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Helper: Parse image from various formats
+function parseImage(image) {
+  if (!image) return '';
+  if (typeof image === 'string') return image;
+  if (Array.isArray(image)) return image[0] || '';
+  if (image.url) return image.url;
+  if (image['@id']) return image['@id'];
+  return '';
+}
+
+// Helper: Parse calories from nutrition object
+function parseCalories(nutrition) {
+  if (!nutrition) return null;
+  const cal = nutrition.calories || nutrition.Calories || '';
+  const match = String(cal).match(/(\d+)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Helper: Clean text
+function cleanText(text) {
+  if (!text) return '';
+  return String(text).replace(/\s+/g, ' ').replace(/<[^>]*>/g, '').trim();
+}
+
+module.exports = {
+  findSchemaRecipe,
+  extractJsonLd,
+  extractMicrodata,
+  parseSchemaRecipe,
+  normalizeRecipe,
+  parseDuration,
+  parseServings,
+  parseImage,
+  parseCalories,
+  cleanText,
+};
@@ -0,0 +1,233 @@
+// Fetching user-supplied URLs without exposing the function's network
+// Only http/https, only public addresses (checked on every connection, so DNS tricks
+// and redirects to internal hosts are refused), a bounded number of redirects, a byte
+// cap on the decompressed body and a content-type allow-list. Failures are
+// UrlFetchErrors with a stable `code` the browser can explain.
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+
+const FETCH_ERROR_CODES = {
+  INVALID_URL: 'invalid_url',
+  UNSUPPORTED_SCHEME: 'unsupported_scheme',
+  BLOCKED_ADDRESS: 'blocked_address',
+  HOST_NOT_FOUND: 'host_not_found',
+  TOO_MANY_REDIRECTS: 'too_many_redirects',
+  TIMEOUT: 'fetch_timeout',
+  TOO_LARGE: 'response_too_large',
+  UNSUPPORTED_CONTENT_TYPE: 'unsupported_content_type',
+  FAILED: 'fetch_failed',
+};
+
+const STATUS_BY_FETCH_CODE = {
+  invalid_url: 400,
+  unsupported_scheme: 400,
+  blocked_address: 400,
+  host_not_found: 400,
+  too_many_redirects: 400,
+  fetch_timeout: 504,
+  response_too_large: 413,
+  unsupported_content_type: 415,
+  fetch_failed: 502,
+};
+
+class UrlFetchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'UrlFetchError';
+    this.code = code;
+    this.status = STATUS_BY_FETCH_CODE[code] || 502;
+  }
+}
+
+// Private, loopback, link-local, shared, multicast and documentation ranges, plus the
+// IPv6 ranges that tunnel or translate to IPv4 (6to4, NAT64) and could reach any of them
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10],
+  ['ff00::', 8], ['2001:db8::', 32], ['100::', 64],
+  ['2002::', 16], ['64:ff9b::', 96], ['64:ff9b:1::', 48],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked as the IPv4 address they carry
+function embeddedIPv4(address) {
+  const lower = address.toLowerCase();
+  const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return dotted[1];
+  const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+  return null;
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !BLOCKED_RANGES.check(address, 'ipv4');
+  if (family === 6) {
+    const v4 = embeddedIPv4(address);
+    if (v4) return !BLOCKED_RANGES.check(v4, 'ipv4');
+    return !BLOCKED_RANGES.check(address, 'ipv6');
+  }
+  return false;
+}
+
+// dns.lookup replacement for http(s).request: resolves the host and refuses to connect
+// if any address it resolves to is not public
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(new UrlFetchError(FETCH_ERROR_CODES.HOST_NOT_FOUND, `Could not find the site "${hostname}".`));
+    }
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked || !addresses.length) {
+      return callback(new UrlFetchError(FETCH_ERROR_CODES.BLOCKED_ADDRESS, 'That address points to a private or local network and cannot be imported from.'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function parseTargetUrl(rawUrl, base) {
+  let url;
+  try {
+    url = base ? new URL(rawUrl, base) : new URL(String(rawUrl).trim());
+  } catch (e) {
+    throw new UrlFetchError(FETCH_ERROR_CODES.INVALID_URL, 'That does not look like a valid web address.');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new UrlFetchError(FETCH_ERROR_CODES.UNSUPPORTED_SCHEME, 'Only http:// and https:// links can be imported.');
+  }
+  if (url.username || url.password) {
+    throw new UrlFetchError(FETCH_ERROR_CODES.INVALID_URL, 'Links with a username or password cannot be imported.');
+  }
+  // Literal IPs never go through the lookup, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new UrlFetchError(FETCH_ERROR_CODES.BLOCKED_ADDRESS, 'That address points to a private or local network and cannot be imported from.');
+  }
+  return url;
+}
+
+// One request/response hop, no redirect handling
+function requestOnce(url, { headers, signal }) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'GET',
+      headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+      lookup: publicOnlyLookup,
+      signal,
+    }, resolve);
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function decodeBody(response) {
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+  if (encoding === 'gzip' || encoding === 'x-gzip') return response.pipe(zlib.createGunzip());
+  if (encoding === 'deflate') return response.pipe(zlib.createInflate());
+  if (encoding === 'br') return response.pipe(zlib.createBrotliDecompress());
+  return response;
+}
+
+// Read at most maxBytes of the (decompressed) body, failing as soon as it grows past that
+async function readLimited(response, maxBytes) {
+  const declared = parseInt(response.headers['content-length'], 10);
+  if (Number.isFinite(declared) && declared > maxBytes && !response.headers['content-encoding']) {
+    response.destroy();
+    throw new UrlFetchError(FETCH_ERROR_CODES.TOO_LARGE, `That page is larger than ${Math.round(maxBytes / 1024 / 1024)} MB.`);
+  }
+
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of decodeBody(response)) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      response.destroy();
+      throw new UrlFetchError(FETCH_ERROR_CODES.TOO_LARGE, `That page is larger than ${Math.round(maxBytes / 1024 / 1024)} MB.`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function decodeText(buffer, contentType) {
+  const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Fetch a public web page as text.
+// Resolves to { url, status, contentType, text }; throws UrlFetchError otherwise.
+async function fetchPublicText(rawUrl, {
+  headers = {},
+  allowedTypes = ['text/html', 'application/xhtml+xml'],
+  maxBytes = 5 * 1024 * 1024,
+  maxRedirects = 5,
+  timeoutMs = 10000,
+} = {}) {
+  let url = parseTargetUrl(rawUrl);
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await requestOnce(url, { headers, signal });
+      const status = response.statusCode;
+
+      if (status >= 300 && status < 400 && response.headers.location) {
+        response.resume();
+        if (redirects >= maxRedirects) {
+          throw new UrlFetchError(FETCH_ERROR_CODES.TOO_MANY_REDIRECTS, 'That link redirects too many times.');
+        }
+        // Every hop is re-checked: scheme here, address in the lookup
+        url = parseTargetUrl(response.headers.location, url);
+        continue;
+      }
+
+      if (status < 200 || status >= 300) {
+        response.resume();
+        throw new UrlFetchError(FETCH_ERROR_CODES.FAILED, `The site answered ${status} ${http.STATUS_CODES[status] || ''}`.trim() + '.');
+      }
+
+      const contentType = String(response.headers['content-type'] || '');
+      const mimeType = contentType.split(';')[0].trim().toLowerCase();
+      if (!allowedTypes.includes(mimeType)) {
+        response.destroy();
+        throw new UrlFetchError(FETCH_ERROR_CODES.UNSUPPORTED_CONTENT_TYPE, `That link is ${mimeType || 'an unknown type of file'}, not a web page.`);
+      }
+
+      const body = await readLimited(response, maxBytes);
+      return { url: url.toString(), status, contentType, text: decodeText(body, contentType) };
+    }
+  } catch (error) {
+    if (error instanceof UrlFetchError) throw error;
+    if (error.cause instanceof UrlFetchError) throw error.cause;
+    if (signal.aborted || error.name === 'AbortError') {
+      throw new UrlFetchError(FETCH_ERROR_CODES.TIMEOUT, 'The site took too long to respond.');
+    }
+    throw new UrlFetchError(FETCH_ERROR_CODES.FAILED, `Could not fetch that page (${error.code || error.message}).`);
+  }
+}
+
+module.exports = {
+  FETCH_ERROR_CODES,
+  UrlFetchError,
+  isPublicAddress,
+  fetchPublicText,
+};
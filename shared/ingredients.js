@@ -0,0 +1,200 @@
+// Ingredient line parsing, shared by the import functions and the browser
+// "1 1/2 cups flour, sifted" -> { quantity: 1.5, unit: 'cup', name: 'flour', notes: 'sifted' }
+// Handles unicode and typed fractions, ranges ("2-3", "2 to 3"), metric units with or
+// without a space ("200g"), decimal commas, package sizes ("1 (14 oz) can", "One 28-ounce
+// can", "2 large eggs") and "to taste".
+// Loaded with require() by netlify/lib/recipes.js and as a plain <script> by index.html,
+// where it defines window.TavolaIngredients; keep it free of Node- or browser-only APIs.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TavolaIngredients = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const UNICODE_FRACTIONS = {
+    '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75, '⅕': 0.2, '⅖': 0.4,
+    '⅗': 0.6, '⅘': 0.8, '⅙': 1 / 6, '⅚': 5 / 6, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875,
+  };
+
+  // Canonical unit -> spellings (matched case-insensitively, longest first)
+  const UNIT_ALIASES = {
+    cup: ['cups', 'cup', 'c.'],
+    tbsp: ['tablespoons', 'tablespoon', 'tbsps', 'tbsp.', 'tbsp', 'tbs.', 'tbs', 'tbl'],
+    tsp: ['teaspoons', 'teaspoon', 'tsps', 'tsp.', 'tsp'],
+    'fl oz': ['fluid ounces', 'fluid ounce', 'fl. oz.', 'fl oz', 'fl.oz.'],
+    oz: ['ounces', 'ounce', 'oz.', 'oz'],
+    lb: ['pounds', 'pound', 'lbs.', 'lbs', 'lb.', 'lb'],
+    g: ['grams', 'gram', 'gr', 'g'],
+    kg: ['kilograms', 'kilogram', 'kilos', 'kilo', 'kg'],
+    mg: ['milligrams', 'milligram', 'mg'],
+    ml: ['milliliters', 'milliliter', 'millilitres', 'millilitre', 'ml'],
+    cl: ['centiliters', 'centilitres', 'cl'],
+    dl: ['deciliters', 'decilitres', 'dl'],
+    l: ['liters', 'liter', 'litres', 'litre', 'l'],
+    pint: ['pints', 'pint', 'pt'],
+    quart: ['quarts', 'quart', 'qt'],
+    gallon: ['gallons', 'gallon', 'gal'],
+    pinch: ['pinches', 'pinch'],
+    dash: ['dashes', 'dash'],
+    clove: ['cloves', 'clove'],
+    can: ['cans', 'can', 'tins', 'tin'],
+    jar: ['jars', 'jar'],
+    package: ['packages', 'package', 'packets', 'packet', 'pkgs', 'pkg'],
+    bunch: ['bunches', 'bunch'],
+    head: ['heads', 'head'],
+    slice: ['slices', 'slice'],
+    piece: ['pieces', 'piece'],
+    sprig: ['sprigs', 'sprig'],
+    stalk: ['stalks', 'stalk'],
+    stick: ['sticks', 'stick'],
+    handful: ['handfuls', 'handful'],
+    container: ['containers', 'container'],
+  };
+
+  const UNIT_LOOKUP = Object.entries(UNIT_ALIASES)
+    .flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+    .sort((a, b) => b[0].length - a[0].length);
+
+  const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, half: 0.5 };
+
+  const NUMBER = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?)';
+  const QUANTITY_RE = new RegExp(`^(${NUMBER})(?:\\s*(?:-|–|—|to|or)\\s*(${NUMBER}))?`, 'i');
+
+  function parseNumber(str) {
+    const s = str.trim().replace(',', '.');
+    const mixed = s.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+    const fraction = s.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return parseInt(fraction[2], 10) ? parseInt(fraction[1], 10) / parseInt(fraction[2], 10) : null;
+    const num = parseFloat(s);
+    return Number.isFinite(num) ? num : null;
+  }
+
+  function roundQuantity(num) {
+    return num === null ? null : Math.round(num * 1000) / 1000;
+  }
+
+  // "1½" -> "1 1/2"-style numbers the quantity pattern understands
+  function expandUnicodeFractions(text) {
+    return text.replace(/(\d*)\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (_, whole, frac) => {
+      const value = (whole ? parseInt(whole, 10) : 0) + UNICODE_FRACTIONS[frac];
+      return `${roundQuantity(value)}`;
+    }).replace(/(\d)⁄(\d)/g, '$1/$2');
+  }
+
+  function matchUnit(text) {
+    const lower = text.toLowerCase();
+    for (const [alias, unit] of UNIT_LOOKUP) {
+      if (lower.startsWith(alias)) {
+        const next = lower.charAt(alias.length);
+        // Whole word only ("g" must not eat "garlic"), but "200g" / "2 cups." are fine
+        if (!next || /[\s,.()]/.test(next) || alias.endsWith('.')) {
+          return { unit, rest: text.slice(alias.length).replace(/^\.?\s*/, '') };
+        }
+      }
+    }
+    return null;
+  }
+
+  const PACKAGE_UNITS = ['can', 'jar', 'package', 'container', 'stick', 'bunch', 'head'];
+  const SIZE_WORD_RE = /^(small|medium|large|extra[- ]large|jumbo)\s+(?=\S)/i;
+
+  // "28-ounce can tomatoes" / "14.5 oz cans": a measured size in front of a package unit
+  function matchPackageSize(text) {
+    const number = text.match(/^\d+(?:[.,]\d+)?\s*-?\s*/);
+    if (!number) return null;
+    const measure = matchUnit(text.slice(number[0].length));
+    if (!measure || PACKAGE_UNITS.includes(measure.unit)) return null;
+    const container = matchUnit(measure.rest);
+    if (!container || !PACKAGE_UNITS.includes(container.unit)) return null;
+    return { size: text.slice(0, text.length - measure.rest.length).trim(), rest: measure.rest };
+  }
+
+  // A line like "For the sauce:" groups the ingredients below it
+  function isIngredientHeader(text) {
+    return /:$/.test(text) && text.length <= 40 && !/\d/.test(text);
+  }
+
+  function parseIngredientLine(raw) {
+    const text = String(raw || '').replace(/\s+/g, ' ').trim();
+    const result = { text, quantity: null, quantityMax: null, unit: null, size: '', name: '', notes: '', toTaste: false };
+    if (!text) return result;
+    if (isIngredientHeader(text)) return { ...result, header: true };
+
+    let rest = expandUnicodeFractions(text).replace(/^[-•*]\s*/, '');
+
+    // "to taste" / "as needed" can appear anywhere
+    const tasteRe = /,?\s*\b(to taste|as needed|as required|for serving|for garnish|optional)\b/i;
+    const taste = rest.match(tasteRe);
+    if (taste) {
+      result.toTaste = /taste|needed|required/i.test(taste[1]);
+      rest = rest.replace(tasteRe, '').trim();
+      result.notes = taste[1].toLowerCase();
+    }
+
+    const quantity = rest.match(QUANTITY_RE);
+    if (quantity) {
+      result.quantity = roundQuantity(parseNumber(quantity[1]));
+      if (quantity[2]) result.quantityMax = roundQuantity(parseNumber(quantity[2]));
+      rest = rest.slice(quantity[0].length).trim();
+    } else {
+      const word = rest.match(/^(a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve|half)\s+/i);
+      if (word && (matchUnit(rest.slice(word[0].length)) || !/^(a|an)$/i.test(word[1]))) {
+        result.quantity = WORD_NUMBERS[word[1].toLowerCase()];
+        rest = rest.slice(word[0].length);
+        // "half an onion", "half a cup milk"
+        if (/^half$/i.test(word[1])) rest = rest.replace(/^an?\s+/i, '');
+      }
+    }
+
+    // Size after the quantity: "1 (14 oz) can tomatoes", "One 28-ounce can tomatoes", "2 large eggs"
+    const paren = rest.match(/^\(([^)]*)\)\s*/);
+    if (paren) {
+      result.size = paren[1].trim();
+      rest = rest.slice(paren[0].length);
+    } else if (result.quantity !== null) {
+      const packageSize = matchPackageSize(rest);
+      const descriptor = rest.match(SIZE_WORD_RE);
+      if (packageSize) {
+        result.size = packageSize.size;
+        rest = packageSize.rest;
+      } else if (descriptor) {
+        result.size = descriptor[1].toLowerCase();
+        rest = rest.slice(descriptor[0].length);
+      }
+    }
+
+    const unit = matchUnit(rest);
+    if (unit && (result.quantity !== null || /^(pinch|dash|handful|bunch)$/.test(unit.unit))) {
+      result.unit = unit.unit;
+      if (result.quantity === null) result.quantity = 1;
+      rest = unit.rest;
+    }
+    rest = rest.replace(/^of\s+/i, '');
+
+    // Everything after the first comma (or a trailing parenthetical) is preparation
+    let name = rest;
+    const notes = [];
+    const comma = name.indexOf(',');
+    if (comma >= 0) {
+      notes.push(name.slice(comma + 1).trim());
+      name = name.slice(0, comma);
+    }
+    const trailingParen = name.match(/\s*\(([^)]*)\)\s*$/);
+    if (trailingParen) {
+      notes.unshift(trailingParen[1].trim());
+      name = name.slice(0, trailingParen.index);
+    }
+    if (result.notes) notes.push(result.notes);
+
+    result.name = name.trim();
+    result.notes = notes.filter(Boolean).join(', ');
+    return result;
+  }
+
+  return {
+    UNIT_ALIASES,
+    parseIngredientLine,
+  };
+});
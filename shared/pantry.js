@@ -0,0 +1,74 @@
+// Pantry categories and how long items keep, shared by the browser and the tests
+// Items added by hand store a category key ('canned'); receipts, pantry scans and the edit
+// forms store its name ('Canned Goods'). normalizePantryCategory turns either into the key.
+// Loaded as a plain <script> by index.html, where it defines window.TavolaPantry.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TavolaPantry = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PANTRY_CATEGORY_NAMES = {
+    produce: 'Produce',
+    proteins: 'Proteins',
+    dairy: 'Dairy',
+    grains: 'Grains',
+    canned: 'Canned Goods',
+    condiments: 'Condiments',
+    spices: 'Spices',
+    oils: 'Oils & Vinegars',
+    snacks: 'Snacks',
+    beverages: 'Beverages',
+    baking: 'Baking',
+    frozen: 'Frozen',
+    herbs: 'Herbs',
+    other: 'Other',
+  };
+
+  // Days an item keeps: { category: { location: [sealed, opened] } }
+  const PANTRY_SHELF_LIFE = {
+    produce:    { pantry: [5, 2],     fridge: [7, 4],     freezer: [240, 240] },
+    herbs:      { pantry: [3, 2],     fridge: [7, 5],     freezer: [180, 180] },
+    proteins:   { pantry: [1, 1],     fridge: [3, 2],     freezer: [120, 120] },
+    dairy:      { pantry: [1, 1],     fridge: [14, 7],    freezer: [90, 90] },
+    grains:     { pantry: [365, 180], fridge: [365, 180], freezer: [365, 365] },
+    spices:     { pantry: [730, 365], fridge: [730, 365], freezer: [730, 365] },
+    oils:       { pantry: [540, 180], fridge: [365, 365], freezer: [365, 365] },
+    canned:     { pantry: [730, 1],   fridge: [730, 4],   freezer: [60, 60] },
+    frozen:     { pantry: [1, 1],     fridge: [2, 2],     freezer: [180, 90] },
+    condiments: { pantry: [365, 30],  fridge: [365, 90],  freezer: [365, 180] },
+    baking:     { pantry: [365, 180], fridge: [365, 180], freezer: [365, 365] },
+    beverages:  { pantry: [270, 7],   fridge: [270, 7],   freezer: [180, 90] },
+    snacks:     { pantry: [180, 30],  fridge: [180, 30],  freezer: [180, 90] },
+    other:      { pantry: [180, 60],  fridge: [14, 7],    freezer: [180, 180] },
+  };
+
+  const CATEGORY_BY_NAME = Object.fromEntries(
+    Object.entries(PANTRY_CATEGORY_NAMES).map(([key, name]) => [name.toLowerCase(), key])
+  );
+
+  // 'canned', 'Canned Goods' or 'canned goods' -> 'canned'; anything else -> 'other'
+  function normalizePantryCategory(category) {
+    const text = String(category || '').trim().toLowerCase();
+    if (PANTRY_CATEGORY_NAMES[text]) return text;
+    return CATEGORY_BY_NAME[text] || 'other';
+  }
+
+  // An item's shelf life in days: the barcode catalog's for a sealed package, else
+  // PANTRY_SHELF_LIFE by category and storage location
+  function getShelfLifeDays(item) {
+    const opened = Boolean(item.openedAt);
+    if (item.shelfLifeDays && !opened) return item.shelfLifeDays;
+    let location = String(item.location || '').toLowerCase();
+    if (!['pantry', 'fridge', 'freezer'].includes(location)) location = 'pantry';
+    return PANTRY_SHELF_LIFE[normalizePantryCategory(item.category)][location][opened ? 1 : 0];
+  }
+
+  return {
+    PANTRY_CATEGORY_NAMES,
+    PANTRY_SHELF_LIFE,
+    normalizePantryCategory,
+    getShelfLifeDays,
+  };
+});
@@ -0,0 +1,203 @@
+// Per-record sync: turning stored collections into records and merging record versions
+// A record is { data, fieldTimes, rev, deleted, deletedAt }: data holds its fields and
+// fieldTimes when each one last changed. Functions take the collection's spec from
+// SYNC_COLLECTIONS in index.html ({ shape, itemFields, keyedLists, summarize }) instead of
+// reading storage, so they run the same in the browser and in tests.
+// Loaded as a plain <script> by index.html, where it defines window.TavolaRecordSync.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TavolaRecordSync = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // A shopping list is either a plain array of items or { name, items, ... }
+  function getRecordItems(list) {
+    const items = Array.isArray(list) ? list : list?.items;
+    return Array.isArray(items) ? items : null;
+  }
+
+  // Records are always objects of fields. Simple shopping lists are plain arrays.
+  // With spec.itemFields, items with ids become "item:{id}" fields, so edits to different
+  // items merge instead of one whole list overwriting the other.
+  function recordFields(spec, value) {
+    const items = spec.itemFields ? getRecordItems(value) : null;
+    if (items && items.every(item => item && typeof item === 'object' && item.id)) {
+      const fields = Array.isArray(value) ? { __items: 'list' } : { ...value, __items: 'items' };
+      delete fields.items;
+      items.forEach(item => { fields[`item:${item.id}`] = item; });
+      return fields;
+    }
+    return Array.isArray(value) ? { __list: value } : (value && typeof value === 'object' ? value : { __value: value });
+  }
+
+  function recordValue(fields) {
+    if ('__items' in fields) {
+      const items = [];
+      const rest = {};
+      Object.entries(fields).forEach(([field, value]) => {
+        if (field.startsWith('item:')) items.push(value);
+        // __list is left over from before items were fields
+        else if (field !== '__items' && field !== '__list') rest[field] = value;
+      });
+      items.sort((a, b) => (a.position || 0) - (b.position || 0));
+      return fields.__items === 'list' ? items : { ...rest, items };
+    }
+    if ('__list' in fields) return fields.__list;
+    if ('__value' in fields) return fields.__value;
+    return fields;
+  }
+
+  // { [id]: fields } for whatever a collection is stored as
+  function getLocalRecords(spec, value) {
+    const records = {};
+    if (spec.shape === 'list') {
+      (Array.isArray(value) ? value : []).forEach(item => {
+        if (item && item.id) records[item.id] = item;
+      });
+    } else {
+      Object.entries(value && typeof value === 'object' && !Array.isArray(value) ? value : {}).forEach(([id, entry]) => {
+        records[id] = recordFields(spec, entry);
+      });
+    }
+    return records;
+  }
+
+  // Stamp changed fields and tombstone removed records after a local write.
+  // tracked is the collection's { [id]: { fieldTimes, rev, deleted, deletedAt } } and is
+  // updated in place. Returns the ids that need pushing.
+  function trackRecordChanges(spec, previous, next, tracked, now) {
+    const before = getLocalRecords(spec, previous);
+    const after = getLocalRecords(spec, next);
+    const changed = [];
+
+    Object.entries(after).forEach(([id, fields]) => {
+      const old = before[id] || {};
+      const record = tracked[id] || { fieldTimes: {}, rev: 0 };
+      let touched = !before[id];
+      new Set([...Object.keys(fields), ...Object.keys(old)]).forEach(field => {
+        if (JSON.stringify(fields[field]) !== JSON.stringify(old[field])) {
+          record.fieldTimes[field] = now;
+          touched = true;
+        }
+      });
+      if (!touched && !record.deleted) return;
+      if (record.deleted) {
+        // Recreated after a delete: everything it has now is newer than the tombstone
+        Object.keys(fields).forEach(field => { record.fieldTimes[field] = now; });
+        record.deleted = false;
+      }
+      tracked[id] = record;
+      changed.push(id);
+    });
+
+    Object.keys(before).forEach(id => {
+      if (after[id]) return;
+      tracked[id] = { ...(tracked[id] || { fieldTimes: {}, rev: 0 }), deleted: true, deletedAt: now };
+      changed.push(id);
+    });
+
+    return changed;
+  }
+
+  function latestFieldTime(record) {
+    return Math.max(0, ...Object.values(record.fieldTimes || {}));
+  }
+
+  // Entries of a keyed list from both sides, one per key; on the same key the newer side's
+  // entry is kept. Newest key first, the order cookingHistory is written in.
+  function unionKeyedList(newer, older, key) {
+    const byKey = new Map();
+    [...older, ...newer].forEach(entry => {
+      if (entry && entry[key] != null) byKey.set(String(entry[key]), entry);
+    });
+    return [...byKey.values()].sort((a, b) => String(b[key]).localeCompare(String(a[key])));
+  }
+
+  // Merge two versions of one record ({ data, fieldTimes, deleted, deletedAt }).
+  // Field by field the later stamp wins; on a tie the cloud copy wins so every device
+  // settles on the same result. A delete wins unless something was edited after it.
+  // spec.keyedLists ({ field: key }) names array fields whose entries are only ever added:
+  // those keep every entry from both sides, and spec.summarize(data) then recomputes
+  // whatever is derived from them.
+  function mergeSyncRecords(local, remote, spec = {}) {
+    if (!remote) return local;
+    if (!local) return remote;
+
+    const deletedAt = Math.max(local.deleted ? local.deletedAt || 0 : 0, remote.deleted ? remote.deletedAt || 0 : 0);
+    if (deletedAt) {
+      const survivor = [remote, local].find(side => !side.deleted && latestFieldTime(side) > deletedAt);
+      if (!survivor) {
+        return { data: {}, fieldTimes: {}, deleted: true, deletedAt };
+      }
+      return { ...survivor, deleted: false, deletedAt: 0 };
+    }
+
+    const keyedLists = spec.keyedLists || {};
+    const data = {};
+    const fieldTimes = {};
+    const fields = new Set([
+      ...Object.keys(local.data), ...Object.keys(local.fieldTimes || {}),
+      ...Object.keys(remote.data), ...Object.keys(remote.fieldTimes || {}),
+    ]);
+    let unioned = false;
+    fields.forEach(field => {
+      const localTime = (local.fieldTimes || {})[field] || 0;
+      const remoteTime = (remote.fieldTimes || {})[field] || 0;
+      let source = localTime > remoteTime ? local : remote;
+      // Same stamp (neither side edited it since record sync began): keep whichever has it.
+      // Otherwise a field missing from the newer side was cleared there.
+      if (localTime === remoteTime && !(field in remote.data)) source = local;
+      fieldTimes[field] = Math.max(localTime, remoteTime);
+
+      if (keyedLists[field] && Array.isArray(local.data[field]) && Array.isArray(remote.data[field])) {
+        const other = source === local ? remote : local;
+        data[field] = unionKeyedList(source.data[field], other.data[field], keyedLists[field]);
+        unioned = true;
+      } else if (field in source.data) {
+        data[field] = source.data[field];
+      }
+    });
+
+    if (unioned && spec.summarize) Object.assign(data, spec.summarize(data));
+    return { data, fieldTimes, deleted: false, deletedAt: 0 };
+  }
+
+  // A Firestore snapshot as a record. Documents written before record sync are flat
+  // copies stamped only by updatedAt.
+  function readRemoteSyncRecord(snapshot) {
+    if (!snapshot.exists()) return null;
+    const doc = snapshot.data();
+    if (doc.fieldTimes) {
+      return {
+        data: doc.data || {},
+        fieldTimes: doc.fieldTimes,
+        deleted: !!doc.deleted,
+        deletedAt: doc.deletedAt || 0,
+        rev: doc.rev || 0,
+        updatedAt: doc.updatedAt?.toMillis?.() || 0,
+      };
+    }
+    const { updatedAt, ...data } = doc;
+    const stamp = updatedAt?.toMillis?.() || 0;
+    return {
+      data: { ...data, id: snapshot.id },
+      fieldTimes: Object.fromEntries(Object.keys(data).map(field => [field, stamp])),
+      deleted: false,
+      deletedAt: 0,
+      rev: 0,
+      updatedAt: stamp,
+    };
+  }
+
+  return {
+    getRecordItems,
+    recordFields,
+    recordValue,
+    getLocalRecords,
+    trackRecordChanges,
+    latestFieldTime,
+    mergeSyncRecords,
+    readRemoteSyncRecord,
+  };
+});
@@ -0,0 +1,134 @@
+// Shopping list amounts: merging recipe ingredients and taking off what the pantry has,
+// shared by the browser and the tests
+// Loaded as a plain <script> after shared/ingredients.js and shared/units.js by index.html,
+// where it defines window.TavolaShopping.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./ingredients'), require('./units'));
+  else root.TavolaShopping = factory(root.TavolaIngredients, root.TavolaUnits);
+})(typeof self !== 'undefined' ? self : this, function (ingredients, units) {
+  'use strict';
+
+  const { convertIngredientAmount, getPantryAmount } = units;
+
+  // "Organic Baby Spinach 5oz" and "baby spinach" share the key "baby spinach";
+  // trailing plural s is dropped so "banana" finds "Bananas"
+  function normalizePriceName(name) {
+    return String(name || '').toLowerCase()
+      .replace(/\b\d+(?:\.\d+)?\s*(?:fl oz|oz|lbs?|g|kg|ml|l|ct|pk|pack|gal|qt|pt|count)\b/g, ' ')
+      .replace(/\b(?:organic|org|fresh|natural)\b/g, ' ')
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word.length > 3 ? word.replace(/s$/, '') : word)
+      .join(' ');
+  }
+
+  // Check if ingredient names match (fuzzy match)
+  function ingredientsMatch(ing1, ing2) {
+    const name1 = ing1.toLowerCase().trim();
+    const name2 = ing2.toLowerCase().trim();
+
+    // Direct match
+    if (name1 === name2) return true;
+
+    // One contains the other
+    if (name1.includes(name2) || name2.includes(name1)) return true;
+
+    // Remove common suffixes/prefixes and compare
+    const clean1 = name1.replace(/\b(fresh|dried|chopped|diced|minced|sliced|whole|large|small|medium)\b/g, '').trim();
+    const clean2 = name2.replace(/\b(fresh|dried|chopped|diced|minced|sliced|whole|large|small|medium)\b/g, '').trim();
+
+    if (clean1 === clean2) return true;
+    if (clean1.includes(clean2) || clean2.includes(clean1)) return true;
+
+    return false;
+  }
+
+  function addShoppingAmount(totals, amount, unit, name) {
+    for (const total of totals) {
+      const converted = convertIngredientAmount(amount, unit, total.unit, name);
+      if (converted !== null) {
+        total.amount += converted;
+        return;
+      }
+    }
+    totals.push({ amount, unit: unit || null });
+  }
+
+  // Merge recipe ingredient lines ({ line, source, date }) by normalized name.
+  // Amounts in units that convert into each other are summed; the rest are kept side by
+  // side ("1¼ cups + 1 can"). Each entry keeps a per-recipe breakdown for the list.
+  // options.parse reads a line (default: parseIngredientLine); options.describe gives the
+  // breakdown text for a line (default: the line itself).
+  function aggregateShoppingIngredients(allIngredients, options = {}) {
+    const parse = options.parse || ingredients.parseIngredientLine;
+    const describe = options.describe || (line => String(line));
+    const merged = [];
+    const byKey = {};
+    allIngredients.forEach(ing => {
+      const parsed = { ...parse(ing.line) };
+      if (parsed.header || !parsed.name) return;
+      // "3 garlic cloves" counts the same thing as "2 cloves garlic"
+      const countWord = parsed.unit ? null : parsed.name.match(/^(.+?)\s+(clove|sprig|stalk|slice|stick|head|bunch)s?$/i);
+      if (countWord && parsed.quantity !== null) {
+        parsed.name = countWord[1];
+        parsed.unit = countWord[2].toLowerCase();
+      }
+      const key = normalizePriceName(parsed.name.replace(/\b(chopped|diced|minced|sliced|whole|large|small|medium|extra virgin|virgin)\b/gi, ' '));
+      if (!key) return;
+
+      let entry = byKey[key] || merged.find(other => ingredientsMatch(other.name, parsed.name));
+      if (!entry) {
+        entry = { key, name: parsed.name, totals: [], unmeasured: false, sources: [], breakdown: [], count: 0 };
+        byKey[key] = entry;
+        merged.push(entry);
+      }
+      entry.count++;
+      if (!entry.sources.includes(ing.source)) entry.sources.push(ing.source);
+      entry.breakdown.push({ recipe: ing.source, date: ing.date, text: describe(ing.line) });
+
+      if (parsed.quantity === null || parsed.toTaste) {
+        entry.unmeasured = true;
+        return;
+      }
+      addShoppingAmount(entry.totals, parsed.quantity, parsed.unit, entry.name);
+    });
+    return merged;
+  }
+
+  // What is still needed after using the pantry's stock, or null when the stock
+  // can't be compared with the recipe amounts (free text, or unrelated units)
+  function subtractPantryStock(entry, pantryItem) {
+    const stock = getPantryAmount(pantryItem);
+    if (stock.amount === null || entry.totals.length === 0) return null;
+
+    let available = stock.amount;
+    let compared = false;
+    const totals = [];
+    entry.totals.forEach(total => {
+      const have = convertIngredientAmount(available, stock.unit, total.unit, entry.name);
+      if (have === null) {
+        totals.push({ ...total });
+        return;
+      }
+      compared = true;
+      const missing = total.amount - have;
+      if (missing > 1e-6) {
+        totals.push({ amount: missing, unit: total.unit });
+        available = 0;
+      } else {
+        // Leftover stock can still cover the next total
+        available = convertIngredientAmount(have - total.amount, total.unit, stock.unit, entry.name);
+      }
+    });
+    return compared ? { ...entry, totals, unmeasured: false } : null;
+  }
+
+  return {
+    normalizePriceName,
+    ingredientsMatch,
+    aggregateShoppingIngredients,
+    subtractPantryStock,
+  };
+});
@@ -0,0 +1,122 @@
+// Ingredient amounts: unit tables and converting between units, shared by the browser and the tests
+// Pantry items keep the text they were entered with in `qty` ("1.5 lbs", "half jar")
+// and the parsed amount in `amount` + `unit` (a canonical unit from shared/ingredients.js,
+// a container word like "bottle", or null for a plain count).
+// Amounts convert within volume and weight, between the two with a density, and
+// from counts with a typical weight. Anything else is left for the user to settle.
+// Loaded as a plain <script> after shared/ingredients.js by index.html, where it defines
+// window.TavolaUnits.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./ingredients'));
+  else root.TavolaUnits = factory(root.TavolaIngredients);
+})(typeof self !== 'undefined' ? self : this, function (ingredients) {
+  'use strict';
+
+  const UNIT_TO_ML = {
+    tsp: 4.929, tbsp: 14.787, 'fl oz': 29.574, cup: 236.588, pint: 473.176, quart: 946.353,
+    gallon: 3785.41, ml: 1, cl: 10, dl: 100, l: 1000, pinch: 0.31, dash: 0.62,
+  };
+  const UNIT_TO_G = { mg: 0.001, g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+
+  // Grams per ml, matched against the ingredient name (longest key first)
+  const INGREDIENT_DENSITIES = {
+    'water': 1, 'milk': 1.03, 'cream': 1.01, 'yogurt': 1.03, 'broth': 1, 'stock': 1, 'wine': 0.99,
+    'olive oil': 0.91, 'oil': 0.92, 'butter': 0.96, 'honey': 1.42, 'maple syrup': 1.32, 'vinegar': 1.01,
+    'flour': 0.53, 'sugar': 0.85, 'brown sugar': 0.9, 'powdered sugar': 0.56, 'salt': 1.2, 'kosher salt': 0.64,
+    'rice': 0.85, 'quinoa': 0.72, 'oats': 0.41, 'lentils': 0.8, 'chickpeas': 0.8, 'couscous': 0.73,
+    'parmesan': 0.42, 'feta': 0.6, 'cheese': 0.47, 'tomato sauce': 1.04, 'tomato paste': 1.1,
+    'spinach': 0.13, 'cocoa': 0.42, 'baking soda': 0.92, 'baking powder': 0.77, 'breadcrumbs': 0.45,
+  };
+
+  // Grams per piece (or per the named count unit)
+  const INGREDIENT_TYPICAL_WEIGHTS = {
+    'onion': { each: 150 }, 'shallot': { each: 40 }, 'garlic': { clove: 5, head: 50, each: 50 },
+    'tomato': { each: 120 }, 'cherry tomato': { each: 15 }, 'potato': { each: 200 }, 'sweet potato': { each: 180 },
+    'carrot': { each: 60 }, 'celery': { stalk: 40, each: 450 }, 'zucchini': { each: 200 }, 'eggplant': { each: 450 },
+    'bell pepper': { each: 150 }, 'cucumber': { each: 300 }, 'lemon': { each: 100 }, 'lime': { each: 65 },
+    'orange': { each: 180 }, 'apple': { each: 180 }, 'banana': { each: 120 }, 'avocado': { each: 170 },
+    'egg': { each: 50 }, 'butter': { stick: 113 }, 'chicken breast': { each: 225 }, 'salmon fillet': { each: 170 },
+    'parsley': { bunch: 60, sprig: 1 }, 'basil': { bunch: 60, sprig: 1 }, 'cilantro': { bunch: 60, sprig: 1 },
+    'dill': { bunch: 30, sprig: 1 }, 'kale': { bunch: 200 }, 'lettuce': { head: 500 }, 'cabbage': { head: 900 },
+    'bread': { slice: 30 },
+  };
+
+  // Words that name a package rather than an amount; never converted to anything else
+  const PANTRY_CONTAINER_UNITS = ['bottle', 'bag', 'box', 'carton', 'pack', 'tub', 'loaf', 'bar', 'block', 'jug', 'pouch'];
+  const COUNT_UNITS = [null, 'each', 'piece'];
+
+  function findIngredientEntry(table, name) {
+    const lower = String(name || '').toLowerCase();
+    const key = Object.keys(table)
+      .filter(k => lower.includes(k) || lower.includes(k + 's') || lower.includes(k + 'es'))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? table[key] : null;
+  }
+
+  // "1.5 lbs" -> { amount: 1.5, unit: 'lb' }, "2 bottles" -> { amount: 2, unit: 'bottle' },
+  // "1 dozen" -> { amount: 12, unit: null }; { amount: null } when there is no number
+  function parsePantryQuantity(qty) {
+    const parsed = ingredients.parseIngredientLine(String(qty || ''));
+    if (parsed.quantity === null) return { amount: null, unit: null };
+    let amount = parsed.quantity;
+    let unit = parsed.unit;
+    if (!unit) {
+      const word = (parsed.name.toLowerCase().match(/^[a-z]+/) || [''])[0];
+      const singular = word.replace(/(es|s)$/, '');
+      if (word === 'dozen') amount *= 12;
+      else if (PANTRY_CONTAINER_UNITS.includes(word)) unit = word;
+      else if (PANTRY_CONTAINER_UNITS.includes(singular)) unit = singular;
+      else if (PANTRY_CONTAINER_UNITS.includes(word.replace(/s$/, ''))) unit = word.replace(/s$/, '');
+    }
+    return { amount, unit: unit || null };
+  }
+
+  function formatPantryQuantity(amount, unit) {
+    const rounded = Math.round(amount * 100) / 100;
+    if (!unit) return String(rounded);
+    const plural = rounded !== 1 && !UNIT_TO_G[unit] && !['ml', 'cl', 'dl', 'l', 'tsp', 'tbsp', 'fl oz'].includes(unit);
+    return `${rounded} ${plural ? unit.replace(/(ch|sh|x)$/, '$1e') + 's' : unit}`;
+  }
+
+  function getPantryAmount(item) {
+    if (typeof item.amount === 'number') return { amount: item.amount, unit: item.unit || null };
+    return parsePantryQuantity(item.qty);
+  }
+
+  // Convert an amount of one ingredient between units. Returns null when there is no
+  // sound way to (a container, or no density/typical weight known for this ingredient).
+  function convertIngredientAmount(amount, fromUnit, toUnit, name) {
+    const from = fromUnit || null;
+    const to = toUnit || null;
+    if (from === to || (COUNT_UNITS.includes(from) && COUNT_UNITS.includes(to))) return amount;
+
+    const toGrams = (value, unit) => {
+      if (UNIT_TO_G[unit]) return value * UNIT_TO_G[unit];
+      if (UNIT_TO_ML[unit]) {
+        const density = findIngredientEntry(INGREDIENT_DENSITIES, name);
+        return density ? value * UNIT_TO_ML[unit] * density : null;
+      }
+      const weights = findIngredientEntry(INGREDIENT_TYPICAL_WEIGHTS, name);
+      const perPiece = weights && weights[COUNT_UNITS.includes(unit) ? 'each' : unit];
+      return perPiece ? value * perPiece : null;
+    };
+
+    if (UNIT_TO_ML[from] && UNIT_TO_ML[to]) return amount * UNIT_TO_ML[from] / UNIT_TO_ML[to];
+    const grams = toGrams(amount, from);
+    if (grams === null) return null;
+    const perTarget = toGrams(1, to);
+    return perTarget ? grams / perTarget : null;
+  }
+
+  return {
+    UNIT_TO_ML,
+    UNIT_TO_G,
+    INGREDIENT_DENSITIES,
+    findIngredientEntry,
+    parsePantryQuantity,
+    formatPantryQuantity,
+    getPantryAmount,
+    convertIngredientAmount,
+  };
+});
@@ -0,0 +1,124 @@
+// Tavola service worker: makes the app installable and usable without a connection.
+// The app shell (index.html, the scripts in shared/, manifest, icons) is cached on install,
+// along with the fonts, icon library and Firebase SDK that index.html loads from CDNs.
+// Pages are network-first, so a deploy shows up on the next visit, and fall back to the
+// cached shell offline or when the network is slower than NAVIGATION_TIMEOUT_MS. CDN files
+// and other same-origin files come from the cache and are refreshed in the background.
+// Function calls (/.netlify/functions/*), Firebase traffic and anything but GET always go
+// to the network: offline, the page queues those itself (see OUTBOX in index.html).
+// Bump CACHE_VERSION when what is cached changes, so old caches are dropped.
+
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = `tavola-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `tavola-runtime-${CACHE_VERSION}`;
+const NAVIGATION_TIMEOUT_MS = 4000;
+
+const SHELL_URLS = [
+    '/index.html',
+    '/shared/ingredients.js',
+    '/shared/record-sync.js',
+    '/shared/pantry.js',
+    '/shared/units.js',
+    '/shared/shopping.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/apple-touch-icon.png'
+];
+
+// Keep in step with the <head> of index.html and its Firebase imports
+const CDN_URLS = [
+    'https://fonts.googleapis.com/css2?family=Dancing+Script:wght@600;700&family=Playfair+Display:wght@400;500;600;700&family=Lora:wght@400;500;600&family=Inter:wght@300;400;500;600&family=Montserrat:wght@400;500;600&display=swap',
+    'https://unpkg.com/lucide@latest/dist/umd/lucide.js',
+    'https://www.gstatic.com/firebasejs/10.8.0/firebase-app.js',
+    'https://www.gstatic.com/firebasejs/10.8.0/firebase-auth.js',
+    'https://www.gstatic.com/firebasejs/10.8.0/firebase-firestore.js',
+    'https://www.gstatic.com/firebasejs/10.8.0/firebase-storage.js'
+];
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'unpkg.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_URLS);
+        // Best effort: the shell still installs if a CDN can't be reached right now
+        const runtime = await caches.open(RUNTIME_CACHE);
+        await Promise.all(CDN_URLS.map(url => fetchFromCdn(url)
+            .then(response => response.ok && runtime.put(url, response))
+            .catch(error => console.warn('Could not cache', url, error))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, RUNTIME_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('tavola-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/.netlify/')) return;
+        event.respondWith(request.mode === 'navigate' ? networkFirstPage(event) : staleWhileRevalidate(event, request));
+    } else if (isCdnUrl(url)) {
+        event.respondWith(staleWhileRevalidate(event, request.url));
+    }
+});
+
+function isCdnUrl(url) {
+    return CDN_HOSTS.includes(url.hostname)
+        || (url.hostname === 'www.gstatic.com' && url.pathname.startsWith('/firebasejs/'));
+}
+
+// Fetched with CORS even for plain <script>/<link> tags: an opaque response can't be
+// checked for errors and takes up far more of the storage quota than its size
+function fetchFromCdn(url) {
+    return fetch(url, { mode: 'cors', credentials: 'omit' });
+}
+
+// Every page is the single-page app, so they all share one cached copy
+async function networkFirstPage(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const network = fetch(event.request).then(response => {
+        if (response.ok && !response.redirected) {
+            const copy = response.clone();
+            event.waitUntil(cache.put('/index.html', copy));
+        }
+        return response;
+    });
+    // Let a slow response still refresh the cache after the cached page was shown
+    event.waitUntil(network.catch(() => {}));
+
+    const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), NAVIGATION_TIMEOUT_MS));
+    try {
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        const cached = await cache.match('/index.html');
+        return cached || network;
+    }
+}
+
+async function staleWhileRevalidate(event, request) {
+    const cached = await caches.match(request);
+    const network = (typeof request === 'string' ? fetchFromCdn(request) : fetch(request)).then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy)));
+        }
+        return response;
+    });
+
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
@@ -0,0 +1,95 @@
+// Reading receipts from several photos (netlify/functions/analyze-receipt.js)
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { handler } = require('../netlify/functions/analyze-receipt');
+const { setTokenVerifier } = require('../netlify/lib/auth');
+const { QUOTAS, setRateLimitStore } = require('../netlify/lib/rate-limit');
+
+const pageReply = items => ({
+  content: [{ type: 'text', text: JSON.stringify({ store: 'Coop', items, subtotal: null, total: null }) }],
+});
+
+function receiptRequest(photoCount) {
+  return {
+    httpMethod: 'POST',
+    headers: { authorization: 'Bearer alice-token' },
+    body: JSON.stringify({ images: Array.from({ length: photoCount }, () => ({ data: 'aGVsbG8=', type: 'image/jpeg' })) }),
+  };
+}
+
+describe('analyze-receipt', () => {
+  const realFetch = global.fetch;
+  let counters;
+  // Photo number (1-based) -> how the API answers for it
+  let answers;
+
+  before(() => {
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    setTokenVerifier(async () => ({ uid: 'alice' }));
+    global.fetch = async (url, { body }) => {
+      const request = JSON.parse(body);
+      const text = request.messages[0].content[1].text;
+      const photo = Number((text.match(/photo (\d+) of/) || [0, 1])[1]);
+      return answers[photo]();
+    };
+  });
+  after(() => {
+    global.fetch = realFetch;
+    setTokenVerifier(null);
+    setRateLimitStore(null);
+  });
+  beforeEach(() => {
+    counters = new Map();
+    setRateLimitStore({
+      async get(key) { return counters.get(key) || null; },
+      async set(key, value) { counters.set(key, value); },
+    });
+  });
+
+  const ok = items => () => Response.json(pageReply(items));
+  const invalid = () => Response.json({ error: { message: 'Could not process image' } }, { status: 400 });
+
+  it('keeps the photos that were read when another one fails', async () => {
+    answers = {
+      1: ok([{ name: 'Basil', totalPrice: 2.5, printed: 'BASIL' }]),
+      2: invalid,
+      3: ok([{ name: 'Ricotta', totalPrice: 3.2, printed: 'RICOTTA' }]),
+    };
+    const response = await handler(receiptRequest(3));
+    assert.strictEqual(response.statusCode, 200);
+    const body = JSON.parse(response.body);
+    assert.deepStrictEqual(body.items.map(item => item.name), ['Basil', 'Ricotta']);
+    assert.deepStrictEqual(body.unreadPhotos, [1]);
+  });
+
+  it('reports the error when no photo could be read', async () => {
+    answers = { 1: invalid, 2: invalid };
+    const response = await handler(receiptRequest(2));
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(JSON.parse(response.body).code, 'invalid_request');
+  });
+
+  it('charges the vision quota once per photo', async () => {
+    answers = { 1: ok([]), 2: ok([]), 3: ok([]) };
+    await handler(receiptRequest(3));
+    assert.strictEqual(counters.get('vision/alice').day.count, 3);
+  });
+
+  it('refuses a receipt with more photos than the minute has room for', async () => {
+    answers = { 1: ok([]), 2: ok([]), 3: ok([]) };
+    assert.strictEqual((await handler(receiptRequest(3))).statusCode, 200);
+
+    const response = await handler(receiptRequest(3));
+    assert.strictEqual(response.statusCode, 429);
+    assert.strictEqual(JSON.parse(response.body).window, 'minute');
+    assert.strictEqual(counters.get('vision/alice').minute.count, 3);
+  });
+
+  it('accepts at most as many photos as the per-minute quota', async () => {
+    const response = await handler(receiptRequest(QUOTAS.vision.perMinute + 2));
+    assert.strictEqual(response.statusCode, 400);
+    assert.match(JSON.parse(response.body).error, new RegExp(`At most ${QUOTAS.vision.perMinute} photos`));
+    assert.ok(counters.get('vision/alice').minute.count <= QUOTAS.vision.perMinute);
+  });
+});
@@ -0,0 +1,171 @@
+// Sign-in checks for the serverless functions (netlify/lib/auth.js)
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyFirebaseToken, setTokenVerifier, guardRequest } = require('../netlify/lib/auth');
+const { setRateLimitStore } = require('../netlify/lib/rate-limit');
+
+const PROJECT_ID = 'tavola-test';
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function claims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    aud: PROJECT_ID,
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    sub: 'alice',
+    email: 'alice@example.com',
+    iat: now - 60,
+    exp: now + 3600,
+    ...overrides,
+  };
+}
+
+function signToken(payload, { kid = 'key-1', key = signingKey.privateKey, alg = 'RS256' } = {}) {
+  const unsigned = `${encode({ alg, kid, typ: 'JWT' })}.${encode(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), key).toString('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+describe('verifyFirebaseToken', () => {
+  const realFetch = global.fetch;
+  let keyFetches = 0;
+
+  before(() => {
+    process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+    delete process.env.FIREBASE_AUTH_EMULATOR_HOST;
+    global.fetch = async () => {
+      keyFetches++;
+      const keys = { 'key-1': signingKey.publicKey.export({ type: 'spki', format: 'pem' }) };
+      return new Response(JSON.stringify(keys), { headers: { 'cache-control': 'public, max-age=3600' } });
+    };
+  });
+  after(() => {
+    global.fetch = realFetch;
+    delete process.env.FIREBASE_PROJECT_ID;
+  });
+
+  it('accepts a token signed with a published key', async () => {
+    const user = await verifyFirebaseToken(signToken(claims()));
+    assert.deepStrictEqual(user, { uid: 'alice', email: 'alice@example.com', name: null });
+  });
+
+  it('caches the signing keys', async () => {
+    await verifyFirebaseToken(signToken(claims()));
+    await verifyFirebaseToken(signToken(claims()));
+    assert.strictEqual(keyFetches, 1);
+  });
+
+  it('rejects an expired token', async () => {
+    const token = signToken(claims({ iat: 1000, exp: 2000 }));
+    await assert.rejects(verifyFirebaseToken(token), { name: 'AuthError', code: 'auth_expired' });
+  });
+
+  it('rejects a token for another project', async () => {
+    await assert.rejects(verifyFirebaseToken(signToken(claims({ aud: 'someone-else' }))), { code: 'auth_invalid', message: /different app/ });
+  });
+
+  it('rejects a token from another issuer', async () => {
+    const token = signToken(claims({ iss: 'https://securetoken.google.com/someone-else' }));
+    await assert.rejects(verifyFirebaseToken(token), { code: 'auth_invalid', message: /different app/ });
+  });
+
+  it('rejects a token signed with an unknown key id', async () => {
+    await assert.rejects(verifyFirebaseToken(signToken(claims(), { kid: 'key-2' })), { code: 'auth_invalid', message: /unknown key/ });
+  });
+
+  it('rejects a token whose signature does not match', async () => {
+    const token = signToken(claims(), { key: otherKey.privateKey });
+    await assert.rejects(verifyFirebaseToken(token), { code: 'auth_invalid', message: /signature is invalid/ });
+  });
+
+  it('rejects a token whose claims were edited after signing', async () => {
+    const [header, , signature] = signToken(claims()).split('.');
+    const forged = `${header}.${encode(claims({ sub: 'mallory' }))}.${signature}`;
+    await assert.rejects(verifyFirebaseToken(forged), { code: 'auth_invalid', message: /signature is invalid/ });
+  });
+
+  it('rejects unsigned tokens', async () => {
+    const token = `${encode({ alg: 'none' })}.${encode(claims())}.`;
+    await assert.rejects(verifyFirebaseToken(token), { code: 'auth_invalid', message: /Unsupported/ });
+  });
+
+  it('rejects malformed tokens', async () => {
+    await assert.rejects(verifyFirebaseToken('not-a-token'), { code: 'auth_invalid', message: /Malformed/ });
+  });
+
+  describe('with the Auth emulator', () => {
+    beforeEach(() => {
+      process.env.FIREBASE_AUTH_EMULATOR_HOST = '127.0.0.1:9099';
+    });
+    afterEach(() => {
+      delete process.env.FIREBASE_AUTH_EMULATOR_HOST;
+    });
+
+    it('accepts unsigned emulator tokens', async () => {
+      const token = `${encode({ alg: 'none' })}.${encode(claims({ sub: 'emulated' }))}.`;
+      const user = await verifyFirebaseToken(token);
+      assert.strictEqual(user.uid, 'emulated');
+    });
+
+    it('still checks the claims', async () => {
+      const token = `${encode({ alg: 'none' })}.${encode(claims({ exp: 2000 }))}.`;
+      await assert.rejects(verifyFirebaseToken(token), { code: 'auth_expired' });
+    });
+  });
+});
+
+describe('guardRequest', () => {
+  beforeEach(() => {
+    setTokenVerifier(async token => {
+      if (token === 'alice-token') return { uid: 'alice' };
+      throw new Error('unknown test token');
+    });
+    const counters = new Map();
+    setRateLimitStore({
+      async get(key) { return counters.get(key) || null; },
+      async set(key, value) { counters.set(key, value); },
+    });
+    process.env.RATE_LIMIT_CHAT_PER_MINUTE = '2';
+  });
+  afterEach(() => {
+    setTokenVerifier(null);
+    setRateLimitStore(null);
+    delete process.env.RATE_LIMIT_CHAT_PER_MINUTE;
+  });
+
+  const withToken = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+  it('returns the user for a valid token', async () => {
+    const { user, response } = await guardRequest(withToken('alice-token'), 'chat');
+    assert.strictEqual(response, undefined);
+    assert.strictEqual(user.uid, 'alice');
+  });
+
+  it('answers 401 without a token', async () => {
+    const { response } = await guardRequest(withToken(null), 'chat');
+    assert.strictEqual(response.statusCode, 401);
+    assert.strictEqual(JSON.parse(response.body).code, 'auth_required');
+  });
+
+  it('answers 401 when verification fails', async () => {
+    const { response } = await guardRequest(withToken('stolen-token'), 'chat');
+    assert.strictEqual(response.statusCode, 401);
+    assert.strictEqual(JSON.parse(response.body).code, 'auth_invalid');
+  });
+
+  it('answers 429 with Retry-After once the quota is used', async () => {
+    await guardRequest(withToken('alice-token'), 'chat');
+    await guardRequest(withToken('alice-token'), 'chat');
+    const { response } = await guardRequest(withToken('alice-token'), 'chat');
+    assert.strictEqual(response.statusCode, 429);
+    const body = JSON.parse(response.body);
+    assert.strictEqual(body.code, 'quota_exceeded');
+    assert.strictEqual(body.window, 'minute');
+    assert.strictEqual(response.headers['Retry-After'], String(body.retryAfter));
+  });
+});
@@ -0,0 +1,83 @@
+// Structured reply validation (netlify/lib/chat-schemas.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  RECIPE_SCHEMA, WEEK_PLAN_SCHEMA, SHOPPING_LIST_SCHEMA, validateAgainstSchema, validateStructuredToolCall,
+} = require('../netlify/lib/chat-schemas');
+
+const recipe = (overrides = {}) => ({
+  name: 'Pasta e ceci',
+  servings: 4,
+  prepMinutes: 10,
+  cookMinutes: 25,
+  difficulty: 'Easy',
+  tags: { health: ['Heart-Healthy'], dietary: ['Vegetarian'], cuisine: ['Italian'] },
+  nutrition: { calories: 480, protein: 18, carbs: 70, fat: 12 },
+  ingredients: [{ amount: '1 can', name: 'chickpeas, drained' }, { amount: 'to taste', name: 'salt' }],
+  phases: [{ name: 'Cook', steps: ['Simmer the chickpeas.', 'Add the pasta.'] }],
+  ...overrides,
+});
+
+describe('validateAgainstSchema', () => {
+  it('accepts valid replies', () => {
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, recipe()), []);
+    assert.deepStrictEqual(validateAgainstSchema(WEEK_PLAN_SCHEMA, {
+      days: [{ day: 'Monday', dinner: { title: 'Ribollita', calories: 520 } }],
+    }), []);
+    assert.deepStrictEqual(validateAgainstSchema(SHOPPING_LIST_SCHEMA, {
+      items: [{ name: 'Basil', amount: '1 bunch', category: 'Produce' }],
+      estimatedTotalLow: 12.5,
+    }), []);
+  });
+
+  it('reports missing required fields, nested ones with their path', () => {
+    const noServings = recipe();
+    delete noServings.servings;
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, noServings), ['$.servings is required']);
+    assert.deepStrictEqual(
+      validateAgainstSchema(RECIPE_SCHEMA, recipe({ tags: { health: [], dietary: [] }, ingredients: [{ name: 'salt' }] })),
+      ['$.tags.cuisine is required', '$.ingredients[0].amount is required']
+    );
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, recipe({ name: null })), ['$.name is required']);
+  });
+
+  it('reports wrong types', () => {
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, recipe({ servings: '4' })), ['$.servings should be a number']);
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, recipe({ servings: 2.5 })), ['$.servings should be a whole number']);
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, recipe({ ingredients: 'chickpeas' })), ['$.ingredients should be an array']);
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, recipe({ tags: ['Italian'] })), ['$.tags should be an object']);
+    assert.deepStrictEqual(
+      validateAgainstSchema(RECIPE_SCHEMA, recipe({ phases: [{ name: 'Cook', steps: [1] }] })),
+      ['$.phases[0].steps[0] should be a string']
+    );
+    assert.deepStrictEqual(validateAgainstSchema(RECIPE_SCHEMA, 'a recipe'), ['$ should be an object']);
+  });
+
+  it('checks enums, bounds and empty strings', () => {
+    assert.deepStrictEqual(
+      validateAgainstSchema(RECIPE_SCHEMA, recipe({ difficulty: 'Trivial', cookMinutes: -5, name: '  ' })),
+      ['$.name should not be empty', '$.cookMinutes should be at least 0', '$.difficulty should be one of: Easy, Medium, Hard']
+    );
+    assert.deepStrictEqual(
+      validateAgainstSchema(WEEK_PLAN_SCHEMA, { days: [] }),
+      ['$.days needs at least 1 item(s)']
+    );
+    const eightDays = Array.from({ length: 8 }, () => ({ day: 'Monday' }));
+    assert.deepStrictEqual(validateAgainstSchema(WEEK_PLAN_SCHEMA, { days: eightDays }), ['$.days allows at most 7 item(s)']);
+  });
+});
+
+describe('validateStructuredToolCall', () => {
+  it('returns the kind with the data or the errors', () => {
+    assert.deepStrictEqual(validateStructuredToolCall('present_recipe', recipe()), { kind: 'recipe', data: recipe() });
+    assert.deepStrictEqual(
+      validateStructuredToolCall('present_shopping_list', { items: [{ name: 'Basil', category: 'Herbs' }] }),
+      { kind: 'shoppingList', errors: [`$.items[0].category should be one of: ${SHOPPING_LIST_SCHEMA.properties.items.items.properties.category.enum.join(', ')}`] }
+    );
+  });
+
+  it('rejects tools it does not know', () => {
+    assert.deepStrictEqual(validateStructuredToolCall('present_poem', {}), { kind: null, errors: ['Unknown tool: present_poem'] });
+  });
+});
@@ -0,0 +1,112 @@
+// Streaming chat replies: cancelling and idle timeouts (netlify/lib/anthropic.js, netlify/functions/chat.js)
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { streamMessage } = require('../netlify/lib/anthropic');
+
+// stream() from @netlify/functions wraps the handler with the Lambda runtime's global
+global.awslambda ??= { streamifyResponse: handler => handler };
+const { relayAnthropicStream } = require('../netlify/functions/chat');
+
+const encoder = new TextEncoder();
+const sse = data => encoder.encode(`data: ${JSON.stringify(data)}\n\n`);
+
+// A body that sends `chunks` and then stays open until aborted
+function stalledBody(chunks, signal) {
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+      signal?.addEventListener('abort', () => controller.error(signal.reason), { once: true });
+    },
+  });
+}
+
+async function readEvents(stream) {
+  const text = await new Response(stream).text();
+  return text.split('\n\n').filter(Boolean).map(line => JSON.parse(line.slice(5)));
+}
+
+describe('streamMessage', () => {
+  const realFetch = global.fetch;
+  beforeEach(() => {
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    global.fetch = async (url, { signal }) => new Response(stalledBody([sse({ type: 'message_start' })], signal));
+  });
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('still cancels the stream when the caller aborts after the headers', async () => {
+    const caller = new AbortController();
+    const { response } = await streamMessage({ messages: [] }, { signal: caller.signal, timeoutMs: 50 });
+    const reader = response.body.getReader();
+    await reader.read();
+
+    // Past the request timeout: only the caller's abort should end it
+    await new Promise(resolve => setTimeout(resolve, 80));
+    caller.abort();
+    await assert.rejects(reader.read(), { name: 'AbortError' });
+  });
+
+  it('stops following the caller after release()', async () => {
+    const caller = new AbortController();
+    const { response, release } = await streamMessage({ messages: [] }, { signal: caller.signal });
+    release();
+    caller.abort();
+    const reader = response.body.getReader();
+    assert.ok(await reader.read());
+    reader.cancel();
+  });
+});
+
+describe('relayAnthropicStream', () => {
+  it('forwards text and ends with done', async () => {
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Ciao' } }));
+        controller.enqueue(sse({ type: 'message_delta', delta: { stop_reason: 'end_turn' } }));
+        controller.close();
+      },
+    });
+    let released = false;
+    const events = await readEvents(relayAnthropicStream(body, { upstream: new AbortController(), release: () => { released = true; } }));
+    assert.deepStrictEqual(events, [{ type: 'delta', text: 'Ciao' }, { type: 'done', stopReason: 'end_turn' }]);
+    assert.ok(released);
+  });
+
+  it('reports a tool call that fails validation as structured_error', async () => {
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(sse({ type: 'content_block_start', index: 1, content_block: { type: 'tool_use', name: 'present_recipe' } }));
+        controller.enqueue(sse({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"name":"Ragù"' } }));
+        controller.enqueue(sse({ type: 'content_block_stop', index: 1 }));
+        controller.close();
+      },
+    });
+    const events = await readEvents(relayAnthropicStream(body, { upstream: new AbortController() }));
+    assert.deepStrictEqual(events, [{ type: 'structured_error', kind: 'recipe' }, { type: 'done', stopReason: null }]);
+  });
+
+  it('gives up with a timeout error when the upstream goes quiet', async () => {
+    const upstream = new AbortController();
+    let released = false;
+    const body = stalledBody([sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Allora' } })], upstream.signal);
+    const events = await readEvents(relayAnthropicStream(body, { upstream, release: () => { released = true; }, idleTimeoutMs: 30 }));
+
+    assert.deepStrictEqual(events.map(event => event.type), ['delta', 'error']);
+    assert.strictEqual(events[1].code, 'timeout');
+    assert.ok(upstream.signal.aborted);
+    assert.ok(released);
+  });
+
+  it('aborts the upstream request when the browser disconnects', async () => {
+    const upstream = new AbortController();
+    let released = false;
+    const body = stalledBody([sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Si' } })], upstream.signal);
+    const reader = relayAnthropicStream(body, { upstream, release: () => { released = true; } }).getReader();
+    await reader.read();
+    await reader.cancel();
+    assert.ok(upstream.signal.aborted);
+    assert.ok(released);
+  });
+});
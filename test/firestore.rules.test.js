@@ -0,0 +1,184 @@
+// Security rules tests for firestore.rules
+// Run with `npm run test:rules`, which starts the Firestore emulator around `node --test test/`
+// using the firebase-tools dev dependency (the emulator also needs a Java runtime).
+// Plain `npm test` has no emulator and skips them.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const {
+  doc, getDoc, setDoc, updateDoc, deleteDoc, collection, getDocs, query, where,
+} = require('firebase/firestore');
+
+const PROJECT_ID = 'tavola-rules-test';
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)';
+
+let testEnv;
+
+const as = uid => testEnv.authenticatedContext(uid).firestore();
+const anonymous = () => testEnv.unauthenticatedContext().firestore();
+
+// Seed data with rules switched off
+async function seed(docPath, data) {
+  await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), docPath), data));
+}
+
+const household = (ownerId, memberIds, viewerIds = []) => ({
+  name: 'The Rossis',
+  ownerId,
+  memberIds: [...memberIds, ...viewerIds],
+  roles: Object.fromEntries([
+    ...memberIds.map(uid => [uid, uid === ownerId ? 'owner' : 'member']),
+    ...viewerIds.map(uid => [uid, 'viewer']),
+  ]),
+});
+
+before(async () => {
+  if (skip) return;
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+after(async () => {
+  if (skip) return;
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  if (skip) return;
+  await testEnv.clearFirestore();
+  await seed('households/h1', household('alice', ['alice', 'bob'], ['nonna']));
+});
+
+describe('users/{uid}', { skip }, () => {
+  it('lets the owner read and write their profile and records', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice'), { name: 'Alice' }));
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/recipes/r1'), { data: { title: 'Soup' } }));
+    await assertSucceeds(getDoc(doc(as('alice'), 'users/alice/pantry/p1')));
+  });
+
+  it('keeps everyone else out, household members included', async () => {
+    await seed('users/alice/recipes/r1', { data: { title: 'Soup' } });
+    await assertFails(getDoc(doc(as('bob'), 'users/alice/recipes/r1')));
+    await assertFails(setDoc(doc(as('bob'), 'users/alice/recipes/r1'), { data: {} }));
+    await assertFails(getDoc(doc(anonymous(), 'users/alice')));
+  });
+});
+
+describe('households/{id}', { skip }, () => {
+  it('is readable by members only', async () => {
+    await assertSucceeds(getDoc(doc(as('bob'), 'households/h1')));
+    await assertFails(getDoc(doc(as('carol'), 'households/h1')));
+  });
+
+  it('can be listed by membership', async () => {
+    const q = query(collection(as('bob'), 'households'), where('memberIds', 'array-contains', 'bob'));
+    await assertSucceeds(getDocs(q));
+    await assertFails(getDocs(collection(as('bob'), 'households')));
+  });
+
+  it('can be created with only yourself as owner', async () => {
+    await assertSucceeds(setDoc(doc(as('carol'), 'households/carol'), household('carol', ['carol'])));
+  });
+
+  it('cannot be created with other members or for someone else', async () => {
+    await assertFails(setDoc(doc(as('carol'), 'households/h2'), household('carol', ['carol', 'dave'])));
+    await assertFails(setDoc(doc(as('carol'), 'households/h3'), household('dave', ['dave'])));
+  });
+
+  it('lets the owner rename it but not change membership', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), 'households/h1'), { name: 'Casa Rossi' }));
+    await assertFails(updateDoc(doc(as('alice'), 'households/h1'), { memberIds: ['alice', 'bob', 'carol'] }));
+  });
+
+  it('can only be deleted by its owner once everyone else has left', async () => {
+    await assertFails(deleteDoc(doc(as('bob'), 'households/h1')));
+    await assertFails(deleteDoc(doc(as('alice'), 'households/h1')));
+    await seed('households/h2', household('alice', ['alice']));
+    await assertFails(deleteDoc(doc(as('bob'), 'households/h2')));
+    await assertSucceeds(deleteDoc(doc(as('alice'), 'households/h2')));
+  });
+
+  it('does not let anyone add themselves', async () => {
+    await assertFails(updateDoc(doc(as('carol'), 'households/h1'), { memberIds: ['alice', 'bob', 'carol'] }));
+    await assertFails(updateDoc(doc(as('bob'), 'households/h1'), { 'roles.bob': 'owner' }));
+  });
+
+  it('keeps invite tokens server-side', async () => {
+    await seed('households/h1/invites/token-1', { email: 'carol@example.com' });
+    await assertFails(getDoc(doc(as('alice'), 'households/h1/invites/token-1')));
+    await assertFails(getDoc(doc(as('carol'), 'households/h1/invites/token-1')));
+    await assertFails(setDoc(doc(as('alice'), 'households/h1/invites/token-2'), { email: 'dave@example.com' }));
+  });
+});
+
+describe('shared household content', { skip }, () => {
+  const recipe = uid => ({ title: 'Ribollita', privacy: 'family', sharedBy: { userId: uid, displayName: uid } });
+
+  it('lets members share, read and edit recipes', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'households/h1/recipes/r1'), recipe('bob')));
+    await assertSucceeds(getDoc(doc(as('alice'), 'households/h1/recipes/r1')));
+    await assertSucceeds(updateDoc(doc(as('alice'), 'households/h1/recipes/r1'), { title: 'Ribollita Toscana' }));
+  });
+
+  it('does not let members share as someone else or take over a recipe', async () => {
+    await assertFails(setDoc(doc(as('bob'), 'households/h1/recipes/r1'), recipe('alice')));
+    await seed('households/h1/recipes/r2', recipe('alice'));
+    await assertFails(updateDoc(doc(as('bob'), 'households/h1/recipes/r2'), { sharedBy: { userId: 'bob' } }));
+  });
+
+  it('lets the sharer or the household owner delete a recipe', async () => {
+    await seed('households/h1/recipes/r1', recipe('bob'));
+    await seed('households/h1/recipes/r2', recipe('alice'));
+    await assertFails(deleteDoc(doc(as('bob'), 'households/h1/recipes/r2')));
+    await assertSucceeds(deleteDoc(doc(as('bob'), 'households/h1/recipes/r1')));
+    await assertSucceeds(deleteDoc(doc(as('alice'), 'households/h1/recipes/r2')));
+  });
+
+  it('keeps recipes, plans and lists away from non-members', async () => {
+    await seed('households/h1/recipes/r1', recipe('alice'));
+    await assertFails(getDoc(doc(as('carol'), 'households/h1/recipes/r1')));
+    await assertFails(setDoc(doc(as('carol'), 'households/h1/recipes/r3'), recipe('carol')));
+    await assertFails(getDoc(doc(as('carol'), 'households/h1/mealPlans/2026-10-19')));
+    await assertFails(setDoc(doc(as('carol'), 'households/h1/shopping/weekly'), { items: [] }));
+  });
+
+  it('lets members plan meals and edit lists together', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'households/h1/mealPlans/2026-10-19'), { dinner: { recipeId: 'r1' } }));
+    await assertSucceeds(setDoc(doc(as('alice'), 'households/h1/shopping/weekly'), { items: [] }));
+  });
+
+  it('lets viewers read but not change anything', async () => {
+    await seed('households/h1/recipes/r1', recipe('alice'));
+    await assertSucceeds(getDoc(doc(as('nonna'), 'households/h1/recipes/r1')));
+    await assertSucceeds(getDoc(doc(as('nonna'), 'households/h1/mealPlans/2026-10-19')));
+    await assertFails(setDoc(doc(as('nonna'), 'households/h1/recipes/r2'), recipe('nonna')));
+    await assertFails(updateDoc(doc(as('nonna'), 'households/h1/recipes/r1'), { title: 'Minestrone' }));
+    await assertFails(setDoc(doc(as('nonna'), 'households/h1/recipes/r1/ratings/nonna'), { userId: 'nonna', rating: 5 }));
+    await assertFails(setDoc(doc(as('nonna'), 'households/h1/shopping/weekly'), { items: [] }));
+  });
+
+  it('lets each member write only their own rating', async () => {
+    await seed('households/h1/recipes/r1', recipe('alice'));
+    await assertSucceeds(setDoc(doc(as('bob'), 'households/h1/recipes/r1/ratings/bob'), { userId: 'bob', rating: 5 }));
+    await assertFails(setDoc(doc(as('bob'), 'households/h1/recipes/r1/ratings/alice'), { userId: 'alice', rating: 1 }));
+    await assertFails(setDoc(doc(as('carol'), 'households/h1/recipes/r1/ratings/carol'), { userId: 'carol', rating: 1 }));
+  });
+});
+
+describe('recipes/{id} from before households', { skip }, () => {
+  it('is visible only to the person who shared it, so they can move it', async () => {
+    await seed('recipes/old-1', { title: 'Pasta e fagioli', privacy: 'family', sharedBy: { userId: 'alice' } });
+    await assertSucceeds(getDocs(query(collection(as('alice'), 'recipes'), where('sharedBy.userId', '==', 'alice'))));
+    await assertFails(getDocs(query(collection(as('bob'), 'recipes'), where('privacy', '==', 'family'))));
+    await assertFails(setDoc(doc(as('alice'), 'recipes/old-2'), { title: 'New', sharedBy: { userId: 'alice' } }));
+    await assertSucceeds(deleteDoc(doc(as('alice'), 'recipes/old-1')));
+  });
+});
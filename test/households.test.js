@@ -0,0 +1,157 @@
+// Joining a household with an invite (netlify/lib/households.js)
+// Runs against a small in-memory stand-in for the Admin SDK's Firestore: documents by path,
+// transactions that apply their writes at the end, and batches that record their size.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { FieldValue, Timestamp } = require('../netlify/lib/firestore');
+const { redeemInvite, HouseholdError } = require('../netlify/lib/households');
+
+const SECRET = 'a'.repeat(24);
+
+function fakeFirestore() {
+  const docs = new Map();
+  const batches = [];
+  let failCommit = null;
+
+  const snapshot = (ref) => ({
+    id: ref.id,
+    ref,
+    exists: docs.has(ref.path),
+    data: () => docs.get(ref.path),
+  });
+  const childrenOf = (path) => [...docs.keys()]
+    .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+    .map(key => snapshot(docRef(key)));
+
+  function docRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(docRef(path)),
+    };
+  }
+  function collectionRef(path) {
+    return {
+      path,
+      doc: id => docRef(`${path}/${id}`),
+      get: async () => ({ docs: childrenOf(path) }),
+      where: (field, op, value) => ({
+        get: async () => ({ docs: childrenOf(path).filter(doc => (doc.data()[field] || []).includes(value)) }),
+      }),
+    };
+  }
+  const update = (ref, fields) => docs.set(ref.path, { ...docs.get(ref.path), ...fields });
+
+  return {
+    docs,
+    batches,
+    failCommitNumber: number => { failCommit = number; },
+    collection: collectionRef,
+    async runTransaction(fn) {
+      const writes = [];
+      const result = await fn({
+        get: ref => ref.get(),
+        update: (ref, fields) => writes.push(() => update(ref, fields)),
+      });
+      writes.forEach(write => write());
+      return result;
+    },
+    batch() {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push(() => docs.set(ref.path, data)),
+        delete: ref => writes.push(() => docs.delete(ref.path)),
+        async commit() {
+          batches.push(writes.length);
+          if (batches.length === failCommit) throw new Error('commit failed');
+          writes.forEach(write => write());
+        },
+      };
+    },
+    async recursiveDelete(ref) {
+      [...docs.keys()].filter(key => key === ref.path || key.startsWith(`${ref.path}/`)).forEach(key => docs.delete(key));
+    },
+  };
+}
+
+const inviteHash = crypto.createHash('sha256').update(SECRET).digest('hex');
+const token = `family.${SECRET}`;
+const bob = { uid: 'bob', email: 'bob@example.com', name: 'Bob' };
+
+describe('redeemInvite', () => {
+  let db;
+
+  beforeEach(() => {
+    db = fakeFirestore();
+    db.docs.set('households/family', { name: 'The Rossis', ownerId: 'alice', memberIds: ['alice'] });
+    db.docs.set(`households/family/invites/${inviteHash}`, {
+      email: null,
+      role: 'member',
+      expiresAt: Timestamp.fromMillis(Date.now() + 60000),
+      usedBy: null,
+    });
+    db.docs.set('households/bobs', { name: "Bob's", ownerId: 'bob', memberIds: ['bob'] });
+    db.docs.set('households/bobs/invites/old', { role: 'viewer' });
+  });
+
+  it('brings recipes with their ratings, meal plans and shopping lists along', async () => {
+    db.docs.set('households/bobs/recipes/r1', { title: 'Ragù' });
+    db.docs.set('households/bobs/recipes/r1/ratings/bob', { rating: 5, userId: 'bob' });
+    db.docs.set('households/bobs/mealPlans/2026-10-19', { dinner: 'r1' });
+    db.docs.set('households/bobs/shopping/list', { items: [] });
+
+    const result = await redeemInvite(db, bob, { token });
+
+    assert.deepStrictEqual(result, { householdId: 'family', name: 'The Rossis', role: 'member', moved: 4, leftBehind: 0 });
+    assert.deepStrictEqual(db.docs.get('households/family/recipes/r1'), { title: 'Ragù' });
+    assert.deepStrictEqual(db.docs.get('households/family/recipes/r1/ratings/bob'), { rating: 5, userId: 'bob' });
+    assert.deepStrictEqual(db.docs.get('households/family/mealPlans/2026-10-19'), { dinner: 'r1' });
+    assert.deepStrictEqual(db.docs.get('households/family/shopping/list'), { items: [] });
+    // The old household goes with everything under it, invites included
+    assert.deepStrictEqual([...db.docs.keys()].filter(key => key.startsWith('households/bobs')), []);
+
+    const household = db.docs.get('households/family');
+    assert.ok(household.memberIds.isEqual(FieldValue.arrayUnion('bob')));
+    assert.strictEqual(household['roles.bob'], 'member');
+    assert.strictEqual(db.docs.get(`households/family/invites/${inviteHash}`).usedBy, 'bob');
+  });
+
+  it('moves in batches of at most 500 writes', async () => {
+    for (let i = 0; i < 300; i++) db.docs.set(`households/bobs/recipes/r${i}`, { title: `Recipe ${i}` });
+    for (let i = 0; i < 10; i++) db.docs.set(`households/bobs/mealPlans/day${i}`, { dinner: `r${i}` });
+
+    const result = await redeemInvite(db, bob, { token });
+
+    assert.strictEqual(result.moved, 310);
+    assert.deepStrictEqual(db.batches, [500, 120]);
+    assert.strictEqual([...db.docs.keys()].filter(key => key.startsWith('households/family/recipes/')).length, 300);
+    assert.strictEqual(db.docs.has('households/bobs'), false);
+  });
+
+  it('keeps the old household when moving stops part way', async () => {
+    for (let i = 0; i < 300; i++) db.docs.set(`households/bobs/recipes/r${i}`, { title: `Recipe ${i}` });
+    db.failCommitNumber(2);
+
+    const result = await redeemInvite(db, bob, { token });
+
+    assert.strictEqual(result.moved, 250);
+    assert.strictEqual(result.leftBehind, 50);
+    assert.strictEqual(db.docs.has('households/bobs'), true);
+    assert.strictEqual([...db.docs.keys()].filter(key => key.startsWith('households/bobs/recipes/')).length, 50);
+    assert.strictEqual(db.docs.get(`households/family/invites/${inviteHash}`).usedBy, 'bob');
+  });
+
+  it('moves nothing when joining is refused', async () => {
+    db.docs.set('households/bobs', { name: "Bob's", ownerId: 'bob', memberIds: ['bob', 'carol'] });
+    db.docs.set('households/bobs/recipes/r1', { title: 'Ragù' });
+
+    await assert.rejects(redeemInvite(db, bob, { token }), error =>
+      error instanceof HouseholdError && error.code === 'already_in_household');
+    assert.deepStrictEqual(db.batches, []);
+    assert.ok(db.docs.has('households/bobs/recipes/r1'));
+    assert.strictEqual(db.docs.get(`households/family/invites/${inviteHash}`).usedBy, null);
+  });
+});
@@ -0,0 +1,98 @@
+// Ingredient line parsing shared by the import functions and the browser (shared/ingredients.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseIngredientLine, UNIT_ALIASES } = require('../shared/ingredients');
+
+function parsed(line) {
+  const { quantity, quantityMax, unit, size, name, notes, toTaste } = parseIngredientLine(line);
+  return { quantity, quantityMax, unit, size, name, notes, toTaste };
+}
+
+const plain = { quantityMax: null, unit: null, size: '', notes: '', toTaste: false };
+
+describe('parseIngredientLine', () => {
+  it('reads quantity, unit, name and preparation', () => {
+    assert.deepStrictEqual(parsed('1 1/2 cups flour, sifted'), { ...plain, quantity: 1.5, unit: 'cup', name: 'flour', notes: 'sifted' });
+  });
+
+  it('reads unicode and typed fractions', () => {
+    assert.strictEqual(parsed('1½ tsp salt').quantity, 1.5);
+    assert.strictEqual(parsed('¾ cup milk').quantity, 0.75);
+    assert.strictEqual(parsed('1⁄3 cup sugar').quantity, 0.333);
+  });
+
+  it('reads ranges', () => {
+    assert.deepStrictEqual(parsed('2-3 cloves garlic'), { ...plain, quantity: 2, quantityMax: 3, unit: 'clove', name: 'garlic' });
+    assert.deepStrictEqual(parsed('2 to 3 tbsp olive oil'), { ...plain, quantity: 2, quantityMax: 3, unit: 'tbsp', name: 'olive oil' });
+  });
+
+  it('reads metric units with or without a space, and decimal commas', () => {
+    assert.deepStrictEqual(parsed('200g spaghetti'), { ...plain, quantity: 200, unit: 'g', name: 'spaghetti' });
+    assert.deepStrictEqual(parsed('0,5 l brodo'), { ...plain, quantity: 0.5, unit: 'l', name: 'brodo' });
+  });
+
+  it('only matches units as whole words', () => {
+    assert.deepStrictEqual(parsed('2 garlic cloves'), { ...plain, quantity: 2, name: 'garlic cloves' });
+    assert.deepStrictEqual(parsed('3 lemons'), { ...plain, quantity: 3, name: 'lemons' });
+  });
+
+  it('reads number words', () => {
+    assert.deepStrictEqual(parsed('a pinch of nutmeg'), { ...plain, quantity: 1, unit: 'pinch', name: 'nutmeg' });
+    assert.deepStrictEqual(parsed('two onions'), { ...plain, quantity: 2, name: 'onions' });
+    assert.deepStrictEqual(parsed('half an onion'), { ...plain, quantity: 0.5, name: 'onion' });
+    assert.deepStrictEqual(parsed('half a cup milk'), { ...plain, quantity: 0.5, unit: 'cup', name: 'milk' });
+    // "a" without a unit is an article, not a count
+    assert.strictEqual(parsed('a few basil leaves').quantity, null);
+  });
+
+  it('keeps "to taste" and friends as notes', () => {
+    assert.deepStrictEqual(parsed('Salt and pepper to taste'), { ...plain, quantity: null, name: 'Salt and pepper', notes: 'to taste', toTaste: true });
+    assert.deepStrictEqual(parsed('Fresh basil, for garnish'), { ...plain, quantity: null, name: 'Fresh basil', notes: 'for garnish' });
+  });
+
+  it('keeps a size out of the name', () => {
+    assert.deepStrictEqual(parsed('2 large eggs'), { ...plain, quantity: 2, size: 'large', name: 'eggs' });
+    assert.deepStrictEqual(parsed('1 medium onion, diced'), { ...plain, quantity: 1, size: 'medium', name: 'onion', notes: 'diced' });
+    assert.deepStrictEqual(parsed('1 (14 oz) can tomatoes'), { ...plain, quantity: 1, unit: 'can', size: '14 oz', name: 'tomatoes' });
+    assert.deepStrictEqual(parsed('One 28-ounce can tomatoes'), { ...plain, quantity: 1, unit: 'can', size: '28-ounce', name: 'tomatoes' });
+    assert.deepStrictEqual(parsed('2 14.5 oz cans diced tomatoes'), { ...plain, quantity: 2, unit: 'can', size: '14.5 oz', name: 'diced tomatoes' });
+  });
+
+  it('does not mistake a measure for a package size', () => {
+    assert.deepStrictEqual(parsed('1 lb ground beef'), { ...plain, quantity: 1, unit: 'lb', name: 'ground beef' });
+    assert.deepStrictEqual(parsed('2 medium'), { ...plain, quantity: 2, name: 'medium' });
+  });
+
+  it('moves a trailing parenthetical into the notes', () => {
+    assert.deepStrictEqual(parsed('1 cup parmesan (grated)'), { ...plain, quantity: 1, unit: 'cup', name: 'parmesan', notes: 'grated' });
+  });
+
+  it('marks section headers', () => {
+    assert.strictEqual(parseIngredientLine('For the sauce:').header, true);
+    assert.strictEqual(parseIngredientLine('2 cups flour').header, undefined);
+  });
+
+  it('handles empty input', () => {
+    assert.deepStrictEqual(parsed(''), { ...plain, quantity: null, name: '' });
+    assert.deepStrictEqual(parsed(null), { ...plain, quantity: null, name: '' });
+  });
+
+  it('gives every alias a canonical unit', () => {
+    Object.entries(UNIT_ALIASES).forEach(([unit, aliases]) => {
+      aliases.forEach(alias => assert.strictEqual(parsed(`2 ${alias} x`).unit, unit, alias));
+    });
+  });
+});
+
+describe('shared/ingredients.js in the browser', () => {
+  it('defines TavolaIngredients when loaded as a plain script', () => {
+    const source = fs.readFileSync(path.join(__dirname, '../shared/ingredients.js'), 'utf8');
+    const window = {};
+    vm.runInNewContext(source, { self: window });
+    assert.strictEqual(window.TavolaIngredients.parseIngredientLine('2 large eggs').name, 'eggs');
+  });
+});
@@ -0,0 +1,42 @@
+// Pantry categories and shelf lives (shared/pantry.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizePantryCategory, getShelfLifeDays } = require('../shared/pantry');
+
+describe('normalizePantryCategory', () => {
+  it('accepts the stored key and the display name', () => {
+    assert.strictEqual(normalizePantryCategory('canned'), 'canned');
+    assert.strictEqual(normalizePantryCategory('Canned Goods'), 'canned');
+    assert.strictEqual(normalizePantryCategory('canned goods '), 'canned');
+    assert.strictEqual(normalizePantryCategory('Oils & Vinegars'), 'oils');
+    assert.strictEqual(normalizePantryCategory('Produce'), 'produce');
+  });
+
+  it('puts anything it does not know under other', () => {
+    assert.strictEqual(normalizePantryCategory('Pantry'), 'other');
+    assert.strictEqual(normalizePantryCategory(''), 'other');
+    assert.strictEqual(normalizePantryCategory(undefined), 'other');
+  });
+});
+
+describe('getShelfLifeDays', () => {
+  it('gives a canned item from a receipt the canned shelf life', () => {
+    assert.strictEqual(getShelfLifeDays({ category: 'Canned Goods', location: 'pantry' }), 730);
+    assert.strictEqual(getShelfLifeDays({ category: 'canned', location: 'pantry' }), 730);
+    assert.strictEqual(getShelfLifeDays({ category: 'Canned Goods', location: 'fridge', openedAt: '2026-10-01' }), 4);
+  });
+
+  it('reads display names with punctuation', () => {
+    assert.strictEqual(getShelfLifeDays({ category: 'Oils & Vinegars', location: 'Pantry' }), 540);
+  });
+
+  it('prefers the catalog shelf life for a sealed package', () => {
+    assert.strictEqual(getShelfLifeDays({ category: 'Canned Goods', shelfLifeDays: 900 }), 900);
+    assert.strictEqual(getShelfLifeDays({ category: 'Canned Goods', shelfLifeDays: 900, openedAt: '2026-10-01' }), 1);
+  });
+
+  it('falls back to other and to the pantry', () => {
+    assert.strictEqual(getShelfLifeDays({ category: 'Mystery', location: 'garage' }), 180);
+  });
+});
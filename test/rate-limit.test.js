@@ -0,0 +1,122 @@
+// Per-user request quotas (netlify/lib/rate-limit.js)
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { QUOTAS, setRateLimitStore, checkRateLimit } = require('../netlify/lib/rate-limit');
+
+const START = Date.UTC(2026, 2, 14, 10, 0, 5);
+
+function memoryStore() {
+  const counters = new Map();
+  return {
+    async get(key) { return counters.get(key) || null; },
+    async set(key, value) { counters.set(key, value); },
+  };
+}
+
+async function useQuota(times, uid = 'alice', scope = 'vision') {
+  let result;
+  for (let i = 0; i < times; i++) result = await checkRateLimit(uid, scope);
+  return result;
+}
+
+describe('checkRateLimit', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: START });
+    setRateLimitStore(memoryStore());
+  });
+  afterEach(() => {
+    mock.timers.reset();
+    setRateLimitStore(null);
+    delete process.env.RATE_LIMIT_VISION_PER_DAY;
+  });
+
+  it('counts down what is left in both windows', async () => {
+    const result = await checkRateLimit('alice', 'vision');
+    assert.deepStrictEqual(result, {
+      allowed: true,
+      remaining: { minute: QUOTAS.vision.perMinute - 1, day: QUOTAS.vision.perDay - 1 },
+    });
+  });
+
+  it('stops a user at the per-minute limit until the next minute', async () => {
+    await useQuota(QUOTAS.vision.perMinute);
+    const blocked = await checkRateLimit('alice', 'vision');
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.window, 'minute');
+    assert.strictEqual(blocked.limit, QUOTAS.vision.perMinute);
+    assert.strictEqual(blocked.retryAfter, 55);
+
+    mock.timers.tick(55000);
+    assert.strictEqual((await checkRateLimit('alice', 'vision')).allowed, true);
+  });
+
+  it('keeps users and scopes apart', async () => {
+    await useQuota(QUOTAS.vision.perMinute);
+    assert.strictEqual((await checkRateLimit('bob', 'vision')).allowed, true);
+    assert.strictEqual((await checkRateLimit('alice', 'chat')).allowed, true);
+  });
+
+  it('stops a user at the daily limit until midnight UTC', async () => {
+    process.env.RATE_LIMIT_VISION_PER_DAY = '3';
+    await useQuota(3);
+    mock.timers.tick(60000);
+
+    const blocked = await checkRateLimit('alice', 'vision');
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.window, 'day');
+    assert.strictEqual(blocked.limit, 3);
+    assert.strictEqual(blocked.retryAfter, 14 * 3600 - 65);
+    assert.match(blocked.message, /today's 3 photo scans/);
+
+    mock.timers.tick(blocked.retryAfter * 1000);
+    assert.strictEqual((await checkRateLimit('alice', 'vision')).allowed, true);
+  });
+
+  it('charges requests that cost several units', async () => {
+    const first = await checkRateLimit('alice', 'vision', undefined, 3);
+    assert.deepStrictEqual(first.remaining, { minute: QUOTAS.vision.perMinute - 3, day: QUOTAS.vision.perDay - 3 });
+
+    // Room for one more unit is not room for three
+    const second = await checkRateLimit('alice', 'vision', undefined, 3);
+    assert.strictEqual(second.allowed, false);
+    assert.strictEqual(second.window, 'minute');
+    const last = await checkRateLimit('alice', 'vision');
+    assert.deepStrictEqual(last.remaining, { minute: 0, day: QUOTAS.vision.perDay - 4 });
+  });
+
+  it('refuses a cost larger than what is left of the day', async () => {
+    process.env.RATE_LIMIT_VISION_PER_DAY = '5';
+    await checkRateLimit('alice', 'vision', undefined, 3);
+    mock.timers.tick(60000);
+
+    const blocked = await checkRateLimit('alice', 'vision', undefined, 3);
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.window, 'day');
+    assert.match(blocked.message, /more than today's 5 photo scans/);
+    // Nothing was charged for it, so a smaller request still fits
+    assert.deepStrictEqual((await checkRateLimit('alice', 'vision', undefined, 2)).remaining, { minute: QUOTAS.vision.perMinute - 2, day: 0 });
+  });
+
+  it('refuses a cost larger than a whole minute', async () => {
+    const blocked = await checkRateLimit('alice', 'vision', undefined, QUOTAS.vision.perMinute + 1);
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.window, 'minute');
+  });
+
+  it('lets requests through when the store cannot be read', async () => {
+    setRateLimitStore({
+      async get() { throw new Error('blobs unavailable'); },
+      async set() { throw new Error('blobs unavailable'); },
+    });
+    const result = await checkRateLimit('alice', 'vision');
+    assert.deepStrictEqual(result, { allowed: true, remaining: null });
+  });
+
+  it('lets the request through when the count cannot be saved', async () => {
+    const store = memoryStore();
+    store.set = async () => { throw new Error('blobs unavailable'); };
+    setRateLimitStore(store);
+    assert.strictEqual((await checkRateLimit('alice', 'vision')).allowed, true);
+  });
+});
@@ -0,0 +1,181 @@
+// Per-record sync merge (shared/record-sync.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  recordFields, recordValue, getLocalRecords, trackRecordChanges, mergeSyncRecords, readRemoteSyncRecord,
+} = require('../shared/record-sync');
+
+const record = (data, fieldTimes, extra = {}) => ({ data, fieldTimes, deleted: false, deletedAt: 0, rev: 1, ...extra });
+const tombstone = deletedAt => ({ data: {}, fieldTimes: {}, deleted: true, deletedAt, rev: 2 });
+
+// Firestore snapshot stand-in
+const snapshot = (id, doc) => ({ id, exists: () => !!doc, data: () => doc });
+const timestamp = ms => ({ toMillis: () => ms });
+
+describe('mergeSyncRecords', () => {
+  it('keeps edits to different fields from both sides', () => {
+    const local = record({ title: 'Ragù alla bolognese', servings: 4 }, { title: 200, servings: 100 });
+    const remote = record({ title: 'Ragù', servings: 6 }, { title: 100, servings: 300 });
+    const merged = mergeSyncRecords(local, remote);
+    assert.deepStrictEqual(merged.data, { title: 'Ragù alla bolognese', servings: 6 });
+    assert.deepStrictEqual(merged.fieldTimes, { title: 200, servings: 300 });
+  });
+
+  it('settles a tie on the same field in favour of the cloud copy', () => {
+    const local = record({ notes: 'from the phone' }, { notes: 500 });
+    const remote = record({ notes: 'from the laptop' }, { notes: 500 });
+    assert.strictEqual(mergeSyncRecords(local, remote).data.notes, 'from the laptop');
+    // ...and the other device reaches the same answer
+    assert.strictEqual(mergeSyncRecords(remote, local).data.notes, 'from the phone');
+  });
+
+  it('keeps a field only one side has when neither side stamped it later', () => {
+    const local = record({ title: 'Minestrone', favorited: true }, { title: 100, favorited: 100 });
+    const remote = record({ title: 'Minestrone' }, { title: 100 });
+    assert.strictEqual(mergeSyncRecords(local, remote).data.favorited, true);
+  });
+
+  it('drops a field the newer side cleared', () => {
+    const local = record({ title: 'Minestrone', favorited: true }, { title: 100, favorited: 100 });
+    const remote = record({ title: 'Minestrone' }, { title: 100, favorited: 200 });
+    assert.strictEqual('favorited' in mergeSyncRecords(local, remote).data, false);
+  });
+
+  it('lets a delete win over older edits', () => {
+    const local = record({ title: 'Focaccia' }, { title: 100 });
+    const merged = mergeSyncRecords(local, tombstone(200));
+    assert.deepStrictEqual(merged, { data: {}, fieldTimes: {}, deleted: true, deletedAt: 200 });
+    assert.strictEqual(mergeSyncRecords(tombstone(200), local).deleted, true);
+  });
+
+  it('brings a record back when it was edited after the delete', () => {
+    const local = record({ title: 'Focaccia' }, { title: 300 });
+    const merged = mergeSyncRecords(local, tombstone(200));
+    assert.strictEqual(merged.deleted, false);
+    assert.strictEqual(merged.data.title, 'Focaccia');
+  });
+
+  it('returns whichever side exists', () => {
+    const only = record({ title: 'Focaccia' }, { title: 1 });
+    assert.strictEqual(mergeSyncRecords(only, null), only);
+    assert.strictEqual(mergeSyncRecords(null, only), only);
+  });
+
+  describe('keyed lists', () => {
+    const recipes = {
+      keyedLists: { cookingHistory: 'date' },
+      summarize: recipe => ({ timesCooked: Math.max(recipe.timesCooked || 0, recipe.cookingHistory.length) }),
+    };
+    const cook = (date, rating) => ({ date, rating, notes: '' });
+
+    it('keeps cooks logged on both devices', () => {
+      const base = [cook('2026-03-01T19:00:00.000Z', 4)];
+      const local = record({ cookingHistory: [cook('2026-03-08T19:00:00.000Z', 5), ...base], timesCooked: 2 }, { cookingHistory: 300, timesCooked: 300 });
+      const remote = record({ cookingHistory: [cook('2026-03-07T12:00:00.000Z', 3), ...base], timesCooked: 2 }, { cookingHistory: 200, timesCooked: 200 });
+      const merged = mergeSyncRecords(local, remote, recipes);
+      assert.deepStrictEqual(merged.data.cookingHistory.map(c => c.date), [
+        '2026-03-08T19:00:00.000Z', '2026-03-07T12:00:00.000Z', '2026-03-01T19:00:00.000Z',
+      ]);
+      assert.strictEqual(merged.data.timesCooked, 3);
+    });
+
+    it('takes the newer copy of the same cook', () => {
+      const local = record({ cookingHistory: [cook('2026-03-01T19:00:00.000Z', 0)] }, { cookingHistory: 100 });
+      const remote = record({ cookingHistory: [cook('2026-03-01T19:00:00.000Z', 5)] }, { cookingHistory: 200 });
+      assert.deepStrictEqual(mergeSyncRecords(local, remote, recipes).data.cookingHistory, [cook('2026-03-01T19:00:00.000Z', 5)]);
+    });
+
+    it('leaves other array fields last-writer-wins', () => {
+      const local = record({ tags: ['quick'] }, { tags: 100 });
+      const remote = record({ tags: ['vegetarian'] }, { tags: 200 });
+      assert.deepStrictEqual(mergeSyncRecords(local, remote, recipes).data.tags, ['vegetarian']);
+    });
+  });
+});
+
+describe('readRemoteSyncRecord', () => {
+  it('reads a record document', () => {
+    const doc = { data: { title: 'Ribollita' }, fieldTimes: { title: 10 }, deleted: false, deletedAt: 0, rev: 4, updatedAt: timestamp(50) };
+    assert.deepStrictEqual(readRemoteSyncRecord(snapshot('r1', doc)), {
+      data: { title: 'Ribollita' }, fieldTimes: { title: 10 }, deleted: false, deletedAt: 0, rev: 4, updatedAt: 50,
+    });
+  });
+
+  it('stamps every field of a legacy flat document with its updatedAt', () => {
+    const doc = { title: 'Ribollita', servings: 4, updatedAt: timestamp(70) };
+    assert.deepStrictEqual(readRemoteSyncRecord(snapshot('r1', doc)), {
+      data: { title: 'Ribollita', servings: 4, id: 'r1' },
+      fieldTimes: { title: 70, servings: 70 },
+      deleted: false,
+      deletedAt: 0,
+      rev: 0,
+      updatedAt: 70,
+    });
+  });
+
+  it('lets newer field edits win over a legacy flat document', () => {
+    const legacy = readRemoteSyncRecord(snapshot('r1', { title: 'Ribollita', servings: 4, updatedAt: timestamp(70) }));
+    const local = record({ title: 'Ribollita toscana', servings: 4, id: 'r1' }, { title: 90, servings: 10 });
+    assert.deepStrictEqual(mergeSyncRecords(local, legacy).data, { title: 'Ribollita toscana', servings: 4, id: 'r1' });
+  });
+
+  it('returns null for a missing document', () => {
+    assert.strictEqual(readRemoteSyncRecord(snapshot('r1', null)), null);
+  });
+});
+
+describe('shopping list items as fields', () => {
+  const shopping = { shape: 'map', itemFields: true };
+
+  it('round-trips a list through fields', () => {
+    const list = { name: 'Weekly', items: [{ id: 'b', name: 'Basil', position: 2 }, { id: 'a', name: 'Flour', position: 1 }] };
+    const fields = recordFields(shopping, list);
+    assert.deepStrictEqual(Object.keys(fields).sort(), ['__items', 'item:a', 'item:b', 'name']);
+    assert.deepStrictEqual(recordValue(fields).items.map(item => item.id), ['a', 'b']);
+  });
+
+  it('merges check-offs of different items', () => {
+    const items = { 'item:a': { id: 'a', name: 'Flour', checked: false }, 'item:b': { id: 'b', name: 'Basil', checked: false } };
+    const local = record({ __items: 'list', ...items, 'item:a': { ...items['item:a'], checked: true } }, { __items: 1, 'item:a': 200, 'item:b': 1 });
+    const remote = record({ __items: 'list', ...items, 'item:b': { ...items['item:b'], checked: true } }, { __items: 1, 'item:a': 1, 'item:b': 300 });
+    const merged = recordValue(mergeSyncRecords(local, remote).data);
+    assert.deepStrictEqual(merged.map(item => item.checked), [true, true]);
+  });
+});
+
+describe('trackRecordChanges', () => {
+  const recipes = { shape: 'list' };
+
+  it('stamps only the fields that changed', () => {
+    const tracked = { r1: { fieldTimes: { title: 1, servings: 1 }, rev: 3 } };
+    const changed = trackRecordChanges(recipes,
+      [{ id: 'r1', title: 'Pesto', servings: 2 }],
+      [{ id: 'r1', title: 'Pesto', servings: 4 }],
+      tracked, 500);
+    assert.deepStrictEqual(changed, ['r1']);
+    assert.deepStrictEqual(tracked.r1, { fieldTimes: { title: 1, servings: 500 }, rev: 3 });
+  });
+
+  it('ignores writes that change nothing', () => {
+    const tracked = {};
+    assert.deepStrictEqual(trackRecordChanges(recipes, [{ id: 'r1', title: 'Pesto' }], [{ id: 'r1', title: 'Pesto' }], tracked, 500), []);
+  });
+
+  it('leaves a tombstone for a removed record', () => {
+    const tracked = { r1: { fieldTimes: { title: 1 }, rev: 3 } };
+    assert.deepStrictEqual(trackRecordChanges(recipes, [{ id: 'r1', title: 'Pesto' }], [], tracked, 500), ['r1']);
+    assert.deepStrictEqual(tracked.r1, { fieldTimes: { title: 1 }, rev: 3, deleted: true, deletedAt: 500 });
+  });
+
+  it('stamps every field of a record recreated after a delete', () => {
+    const tracked = { r1: { fieldTimes: { title: 1 }, rev: 3, deleted: true, deletedAt: 400 } };
+    trackRecordChanges(recipes, [], [{ id: 'r1', title: 'Pesto' }], tracked, 500);
+    assert.strictEqual(tracked.r1.deleted, false);
+    assert.deepStrictEqual(tracked.r1.fieldTimes, { id: 500, title: 500 });
+  });
+
+  it('reads map collections as records', () => {
+    assert.deepStrictEqual(getLocalRecords({ shape: 'map' }, { '2026-W11': { monday: ['r1'] } }), { '2026-W11': { monday: ['r1'] } });
+  });
+});
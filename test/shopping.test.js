@@ -0,0 +1,98 @@
+// Shopping list amounts (shared/shopping.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { aggregateShoppingIngredients, subtractPantryStock, ingredientsMatch, normalizePriceName } = require('../shared/shopping');
+
+const lines = (...texts) => texts.map((line, i) => ({ line, source: `Recipe ${i % 2 ? 'B' : 'A'}`, date: '2026-10-19' }));
+const amounts = totals => totals.map(({ amount, unit }) => [Math.round(amount * 1000) / 1000, unit]);
+
+describe('aggregateShoppingIngredients', () => {
+  it('adds up amounts in units that convert into each other', () => {
+    const [milk] = aggregateShoppingIngredients(lines('1 cup milk', '250 ml whole milk'));
+    assert.strictEqual(milk.name, 'milk');
+    assert.deepStrictEqual(amounts(milk.totals), [[2.057, 'cup']]);
+    assert.deepStrictEqual(milk.sources, ['Recipe A', 'Recipe B']);
+    assert.strictEqual(milk.count, 2);
+  });
+
+  it('keeps amounts that do not convert side by side', () => {
+    const [chickpeas] = aggregateShoppingIngredients(lines('1 can chickpeas', '400 g chickpeas', '1 (15 oz) can chickpeas'));
+    assert.deepStrictEqual(amounts(chickpeas.totals), [[2, 'can'], [400, 'g']]);
+  });
+
+  it('counts "3 garlic cloves" the same as "2 cloves garlic"', () => {
+    const merged = aggregateShoppingIngredients(lines('2 cloves garlic, minced', '3 garlic cloves'));
+    assert.strictEqual(merged.length, 1);
+    assert.deepStrictEqual(amounts(merged[0].totals), [[5, 'clove']]);
+  });
+
+  it('merges by name regardless of preparation and size', () => {
+    const merged = aggregateShoppingIngredients(lines('2 large onions, diced', '1 onion'));
+    assert.strictEqual(merged.length, 1);
+    assert.deepStrictEqual(amounts(merged[0].totals), [[3, null]]);
+  });
+
+  it('marks ingredients without an amount and skips headers', () => {
+    const merged = aggregateShoppingIngredients(lines('For the sauce:', 'salt, to taste', '1 tsp salt'));
+    assert.strictEqual(merged.length, 1);
+    assert.strictEqual(merged[0].unmeasured, true);
+    assert.deepStrictEqual(amounts(merged[0].totals), [[1, 'tsp']]);
+  });
+
+  it('reads and describes lines with the functions it is given', () => {
+    const [entry] = aggregateShoppingIngredients(lines('two eggs'), {
+      parse: () => ({ quantity: 2, unit: null, name: 'eggs' }),
+      describe: line => line.toUpperCase(),
+    });
+    assert.deepStrictEqual(entry.breakdown, [{ recipe: 'Recipe A', date: '2026-10-19', text: 'TWO EGGS' }]);
+    assert.deepStrictEqual(amounts(entry.totals), [[2, null]]);
+  });
+});
+
+describe('subtractPantryStock', () => {
+  const entryFor = (...texts) => aggregateShoppingIngredients(lines(...texts))[0];
+
+  it('leaves only the shortfall', () => {
+    const shortfall = subtractPantryStock(entryFor('2 cups milk'), { name: 'Milk', qty: '1 cup' });
+    assert.deepStrictEqual(amounts(shortfall.totals), [[1, 'cup']]);
+    assert.strictEqual(shortfall.unmeasured, false);
+  });
+
+  it('converts the stock into the recipe unit', () => {
+    const covered = subtractPantryStock(entryFor('2 cups milk'), { name: 'Milk', qty: '1 l' });
+    assert.deepStrictEqual(covered.totals, []);
+    const short = subtractPantryStock(entryFor('500 g flour'), { name: 'Flour', qty: '2 cups' });
+    assert.deepStrictEqual(amounts(short.totals), [[249.217, 'g']]);
+  });
+
+  it('uses leftover cans but cannot count them against grams', () => {
+    const shortfall = subtractPantryStock(entryFor('1 can chickpeas', '400 g chickpeas'), { name: 'Chickpeas', qty: '2 cans' });
+    assert.deepStrictEqual(amounts(shortfall.totals), [[400, 'g']]);
+  });
+
+  it('gives up when the stock cannot be compared at all', () => {
+    assert.strictEqual(subtractPantryStock(entryFor('400 g chickpeas'), { name: 'Chickpeas', qty: '1 can' }), null);
+    assert.strictEqual(subtractPantryStock(entryFor('3 tbsp olive oil'), { name: 'Olive oil', qty: '1 bottle' }), null);
+    assert.strictEqual(subtractPantryStock(entryFor('2 cups milk'), { name: 'Milk', qty: 'some' }), null);
+    assert.strictEqual(subtractPantryStock(entryFor('salt, to taste'), { name: 'Salt', qty: '1 lb' }), null);
+  });
+
+  it('prefers the stored amount over the quantity text', () => {
+    const shortfall = subtractPantryStock(entryFor('3 onions'), { name: 'Onions', qty: '2', amount: 1, unit: null });
+    assert.deepStrictEqual(amounts(shortfall.totals), [[2, null]]);
+  });
+});
+
+describe('names', () => {
+  it('matches ingredient names loosely', () => {
+    assert.strictEqual(ingredientsMatch('Fresh basil', 'basil'), true);
+    assert.strictEqual(ingredientsMatch('diced tomatoes', 'tomatoes'), true);
+    assert.strictEqual(ingredientsMatch('basil', 'parsley'), false);
+  });
+
+  it('keys product names without sizes, labels or plurals', () => {
+    assert.strictEqual(normalizePriceName('Organic Baby Spinach 5oz'), 'baby spinach');
+    assert.strictEqual(normalizePriceName('Bananas'), 'banana');
+  });
+});
@@ -0,0 +1,84 @@
+// Ingredient amounts and unit conversion (shared/units.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+  convertIngredientAmount, parsePantryQuantity, formatPantryQuantity, getPantryAmount,
+} = require('../shared/units');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-3, `${actual} is not ${expected}`);
+
+describe('convertIngredientAmount', () => {
+  it('converts within volume and within weight, across metric and imperial', () => {
+    close(convertIngredientAmount(2, 'cup', 'ml', 'milk'), 473.176);
+    close(convertIngredientAmount(500, 'ml', 'cup', 'broth'), 2.1134);
+    close(convertIngredientAmount(3, 'tsp', 'tbsp', 'salt'), 1);
+    close(convertIngredientAmount(8, 'oz', 'lb', 'pasta'), 0.5);
+    close(convertIngredientAmount(1, 'kg', 'lb', 'anything at all'), 2.2046);
+  });
+
+  it('converts volume to weight and back with the ingredient density', () => {
+    close(convertIngredientAmount(1, 'cup', 'g', 'all-purpose flour'), 125.3916);
+    close(convertIngredientAmount(200, 'g', 'cup', 'flour'), 1.595);
+    // The longest matching name wins: olive oil, not oil
+    close(convertIngredientAmount(1, 'tbsp', 'g', 'extra virgin olive oil'), 13.456);
+  });
+
+  it('converts counts with a typical weight', () => {
+    close(convertIngredientAmount(2, null, 'g', 'yellow onions'), 300);
+    close(convertIngredientAmount(3, 'clove', 'head', 'garlic'), 0.3);
+    close(convertIngredientAmount(1, 'lb', 'each', 'potatoes'), 2.268);
+  });
+
+  it('treats plain counts, each and piece as the same unit', () => {
+    assert.strictEqual(convertIngredientAmount(2, 'each', null, 'eggs'), 2);
+    assert.strictEqual(convertIngredientAmount(2, null, 'piece', 'eggs'), 2);
+    assert.strictEqual(convertIngredientAmount(3, 'can', 'can', 'chickpeas'), 3);
+  });
+
+  it('refuses conversions it has no sound way to make', () => {
+    assert.strictEqual(convertIngredientAmount(1, 'cup', 'g', 'mystery powder'), null);
+    assert.strictEqual(convertIngredientAmount(1, 'bottle', 'ml', 'olive oil'), null);
+    assert.strictEqual(convertIngredientAmount(1, 'can', 'g', 'chickpeas'), null);
+    assert.strictEqual(convertIngredientAmount(2, null, 'g', 'saffron'), null);
+  });
+});
+
+describe('pantry quantities', () => {
+  it('reads the amount and unit from the quantity text', () => {
+    assert.deepStrictEqual(parsePantryQuantity('1.5 lbs'), { amount: 1.5, unit: 'lb' });
+    assert.deepStrictEqual(parsePantryQuantity('2 bottles'), { amount: 2, unit: 'bottle' });
+    assert.deepStrictEqual(parsePantryQuantity('3 boxes'), { amount: 3, unit: 'box' });
+    assert.deepStrictEqual(parsePantryQuantity('1 dozen'), { amount: 12, unit: null });
+    assert.deepStrictEqual(parsePantryQuantity('some'), { amount: null, unit: null });
+    assert.deepStrictEqual(parsePantryQuantity(''), { amount: null, unit: null });
+  });
+
+  it('writes amounts back with the unit pluralised where a cook would', () => {
+    assert.strictEqual(formatPantryQuantity(1.5, 'lb'), '1.5 lb');
+    assert.strictEqual(formatPantryQuantity(250, 'ml'), '250 ml');
+    assert.strictEqual(formatPantryQuantity(2, 'bottle'), '2 bottles');
+    assert.strictEqual(formatPantryQuantity(2, 'box'), '2 boxes');
+    assert.strictEqual(formatPantryQuantity(1, 'box'), '1 box');
+    assert.strictEqual(formatPantryQuantity(1 / 3, null), '0.33');
+  });
+
+  it('prefers the stored amount over the quantity text', () => {
+    assert.deepStrictEqual(getPantryAmount({ qty: '2 lbs', amount: 0.5, unit: 'lb' }), { amount: 0.5, unit: 'lb' });
+    assert.deepStrictEqual(getPantryAmount({ qty: '2 lbs' }), { amount: 2, unit: 'lb' });
+  });
+});
+
+describe('shared/units.js in the browser', () => {
+  it('defines TavolaUnits when loaded as a plain script after the parser', () => {
+    const window = {};
+    ['ingredients.js', 'units.js'].forEach(file => {
+      vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../shared', file), 'utf8'), { self: window });
+    });
+    const { amount, unit } = window.TavolaUnits.parsePantryQuantity('2 cups');
+    assert.deepStrictEqual({ amount, unit }, { amount: 2, unit: 'cup' });
+  });
+});